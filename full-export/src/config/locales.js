@@ -0,0 +1,142 @@
+/**
+ * Locale configuration - Which commercetools locales are exported and how they map to Vertex AI
+ *
+ * CTP_LOCALES            Comma-separated locales, the first one is the default (e.g. en-US,de-DE,fr-FR)
+ * CTP_LOCALE_FALLBACKS   Optional fallback chains, e.g. de-CH=de-DE|en-US,fr-CA=fr-FR
+ * VERTEX_LOCALE_MODE     attributes (default), branches or catalogs
+ * VERTEX_LANGUAGE_CODES  Optional locale to Vertex languageCode overrides, e.g. en-US=en-US
+ * VERTEX_LOCALE_BRANCHES Locale to Vertex branch, e.g. de-DE=1,fr-FR=2 (branches mode)
+ * VERTEX_LOCALE_CATALOGS Locale to Vertex catalog, e.g. de-DE=catalog_de (catalogs mode)
+ */
+
+const LOCALE_MODES = ['attributes', 'branches', 'catalogs'];
+
+/**
+ * Parses "key=value,key=value" settings into an object
+ */
+function parseKeyValueList(value) {
+  const result = {};
+  if (!value) return result;
+
+  value.split(',').forEach(entry => {
+    const separatorIndex = entry.indexOf('=');
+    if (separatorIndex === -1) return;
+    const key = entry.slice(0, separatorIndex).trim();
+    const mappedValue = entry.slice(separatorIndex + 1).trim();
+    if (key && mappedValue) {
+      result[key] = mappedValue;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Gets the language part of a locale, e.g. de-DE -> de
+ */
+function getLanguage(locale) {
+  return locale.split('-')[0].toLowerCase();
+}
+
+/**
+ * Builds the locale configuration from environment variables
+ * @returns {Object} Locales, default locale, Vertex mapping mode and per-locale lookups
+ */
+function getLocaleConfig(env = process.env) {
+  const locales = (env.CTP_LOCALES || 'en-US').split(',').map(locale => locale.trim()).filter(Boolean);
+  const defaultLocale = locales[0];
+
+  const mode = env.VERTEX_LOCALE_MODE || 'attributes';
+  if (!LOCALE_MODES.includes(mode)) {
+    throw new Error(`Invalid VERTEX_LOCALE_MODE "${mode}" - expected one of ${LOCALE_MODES.join(', ')}`);
+  }
+
+  const configuredFallbacks = parseKeyValueList(env.CTP_LOCALE_FALLBACKS);
+  const languageCodes = parseKeyValueList(env.VERTEX_LANGUAGE_CODES);
+  const branches = parseKeyValueList(env.VERTEX_LOCALE_BRANCHES);
+  const catalogs = parseKeyValueList(env.VERTEX_LOCALE_CATALOGS);
+
+  return {
+    locales,
+    defaultLocale,
+    mode,
+    branches,
+    catalogs,
+
+    /**
+     * Locales to try, in order, when a value is missing for the given locale
+     */
+    getFallbackChain(locale) {
+      const configured = configuredFallbacks[locale] ? configuredFallbacks[locale].split('|') : [];
+      const chain = [locale, ...configured, getLanguage(locale), defaultLocale, getLanguage(defaultLocale)];
+      return [...new Set(chain.map(entry => entry.trim()).filter(Boolean))];
+    },
+
+    /**
+     * Vertex languageCode for a commercetools locale
+     */
+    getLanguageCode(locale) {
+      return languageCodes[locale] || getLanguage(locale);
+    }
+  };
+}
+
+/**
+ * Picks the value for a locale from commercetools localized values, following the fallback chain
+ * @param {Array|Object} values - [{ locale, value }] as returned by *AllLocales, or a locale -> value map
+ * @param {string} locale - Requested locale
+ * @param {Object} localeConfig - Result of getLocaleConfig
+ * @returns {string|undefined} Localized value
+ */
+function resolveLocalized(values, locale, localeConfig) {
+  if (!values) return undefined;
+
+  const byLocale = Array.isArray(values)
+    ? Object.fromEntries(values.map(entry => [entry.locale, entry.value]))
+    : values;
+
+  for (const candidate of localeConfig.getFallbackChain(locale)) {
+    if (byLocale[candidate]) return byLocale[candidate];
+
+    // A bare language (e.g. de) also matches any regional variant (e.g. de-AT)
+    if (!candidate.includes('-')) {
+      const match = Object.keys(byLocale).find(key => getLanguage(key) === candidate && byLocale[key]);
+      if (match) return byLocale[match];
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Builds the Vertex catalog/branch each configured locale is written to
+ * In attributes mode every locale goes to the default branch as localized attribute copies
+ * @param {Object} localeConfig - Result of getLocaleConfig
+ * @param {Object} defaults - Default Vertex catalogId and branchId
+ * @returns {Array<Object>} Targets with locale, catalogId and branchId; the default locale comes first
+ */
+function getLocaleTargets(localeConfig, { catalogId, branchId }) {
+  const { mode, locales, defaultLocale, branches, catalogs } = localeConfig;
+  const defaultTarget = { locale: defaultLocale, catalogId, branchId };
+
+  if (mode === 'attributes') {
+    return [defaultTarget];
+  }
+
+  const settingName = mode === 'branches' ? 'VERTEX_LOCALE_BRANCHES' : 'VERTEX_LOCALE_CATALOGS';
+  const mapping = mode === 'branches' ? branches : catalogs;
+
+  return locales.map(locale => {
+    if (locale === defaultLocale) return defaultTarget;
+
+    if (!mapping[locale]) {
+      throw new Error(`Missing ${settingName} entry for locale ${locale}`);
+    }
+
+    return mode === 'branches'
+      ? { locale, catalogId, branchId: mapping[locale] }
+      : { locale, catalogId: mapping[locale], branchId };
+  });
+}
+
+module.exports = { getLocaleConfig, getLocaleTargets, resolveLocalized, parseKeyValueList };
@@ -0,0 +1,18 @@
+/**
+ * Price info configuration - Extra Vertex AI priceInfo fields beyond the selected price
+ *
+ * VERTEX_COST_ATTRIBUTE  Optional variant attribute with the cost of the product (money or number),
+ *                        sent as priceInfo.cost; money values must be in the price's currency
+ */
+
+/**
+ * Builds the price info configuration from environment variables
+ * @returns {Object} { costAttribute }
+ */
+function getPriceInfoConfig(env = process.env) {
+  return {
+    costAttribute: env.VERTEX_COST_ATTRIBUTE || null
+  };
+}
+
+module.exports = { getPriceInfoConfig };
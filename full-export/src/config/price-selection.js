@@ -0,0 +1,47 @@
+/**
+ * Price selection configuration - Which commercetools price is sent to Vertex AI priceInfo
+ *
+ * CTP_PRICE_CURRENCY        Currency code; price selection is enabled when this is set (e.g. USD)
+ * CTP_PRICE_COUNTRY         Optional country code (e.g. US)
+ * CTP_PRICE_CUSTOMER_GROUP  Optional customer group ID
+ * CTP_PRICE_CHANNEL         Optional distribution channel ID
+ */
+
+/**
+ * Builds the price selection from environment variables
+ * @returns {Object|null} Selection criteria, or null when no currency is configured
+ */
+function getPriceSelection(env = process.env) {
+  if (!env.CTP_PRICE_CURRENCY) {
+    return null;
+  }
+
+  return {
+    currency: env.CTP_PRICE_CURRENCY,
+    country: env.CTP_PRICE_COUNTRY || null,
+    customerGroupId: env.CTP_PRICE_CUSTOMER_GROUP || null,
+    channelId: env.CTP_PRICE_CHANNEL || null
+  };
+}
+
+/**
+ * Converts a price selection to REST product-projections query parameters
+ * @returns {string} Query string fragment starting with &, or an empty string
+ */
+function toPriceSelectionQuery(priceSelection) {
+  if (!priceSelection) return '';
+
+  const params = {
+    priceCurrency: priceSelection.currency,
+    priceCountry: priceSelection.country,
+    priceCustomerGroup: priceSelection.customerGroupId,
+    priceChannel: priceSelection.channelId
+  };
+
+  return Object.entries(params)
+    .filter(([, value]) => value)
+    .map(([name, value]) => `&${name}=${encodeURIComponent(value)}`)
+    .join('');
+}
+
+module.exports = { getPriceSelection, toPriceSelectionQuery };
@@ -0,0 +1,63 @@
+/**
+ * Product URI configuration - Builds the storefront URI sent to Vertex AI
+ *
+ * PRODUCT_URI_TEMPLATE  Optional template; defaults to PRODUCT_BASE_URL + /products/{sku}
+ * PRODUCT_BASE_URL      Base URL of the default template (default https://your-store.com)
+ *
+ * Placeholders: {locale}, {slug}, {sku}, {key}, {id}, {categorySlug}
+ * e.g. https://shop.example.com/{locale}/{categorySlug}/{slug}
+ */
+
+const PLACEHOLDERS = ['locale', 'slug', 'sku', 'key', 'id', 'categorySlug'];
+const PLACEHOLDER_PATTERN = /\{([^}]+)\}/g;
+
+/**
+ * Reads and validates the URI template
+ * @returns {string} Template with placeholders
+ */
+function getProductUriTemplate(env = process.env) {
+  const template = env.PRODUCT_URI_TEMPLATE ||
+    `${env.PRODUCT_BASE_URL || 'https://your-store.com'}/products/{sku}`;
+
+  for (const [, placeholder] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!PLACEHOLDERS.includes(placeholder)) {
+      throw new Error(`Unknown placeholder {${placeholder}} in PRODUCT_URI_TEMPLATE, expected one of ${PLACEHOLDERS.join(', ')}`);
+    }
+  }
+
+  return template;
+}
+
+/**
+ * Renders the URI of a product as produced by HybridService
+ * The master variant supplies the SKU; for VARIANT products pass a view with the variant as master
+ * @param {string} template - Result of getProductUriTemplate
+ * @param {Object} product - Transformed product
+ * @param {string} locale - Locale for slugs and the {locale} placeholder
+ * @returns {string|null} URI, or null when a placeholder has no value (Vertex AI treats uri as optional)
+ */
+function renderProductUri(template, product, locale) {
+  const current = product.masterData?.current;
+  const values = {
+    locale,
+    slug: current?.localizedSlug?.[locale],
+    sku: current?.masterVariant?.sku,
+    key: product.key,
+    id: product.id,
+    categorySlug: current?.categories?.[0]?.localizedSlug?.[locale]
+  };
+
+  let complete = true;
+  const uri = template.replace(PLACEHOLDER_PATTERN, (match, placeholder) => {
+    const value = values[placeholder];
+    if (value === undefined || value === null || value === '') {
+      complete = false;
+      return '';
+    }
+    return encodeURIComponent(value);
+  });
+
+  return complete ? uri : null;
+}
+
+module.exports = { getProductUriTemplate, renderProductUri };
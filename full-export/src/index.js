@@ -54,7 +54,7 @@ const commercetoolsClient = createClient({
         clientId: process.env.CTP_CLIENT_ID,
         clientSecret: process.env.CTP_CLIENT_SECRET,
       },
-      scopes: [`manage_project:${process.env.CTP_PROJECT_KEY}`],
+      scopes: [process.env.CTP_SCOPE || `manage_project:${process.env.CTP_PROJECT_KEY}`],
     }),
     createHttpMiddleware({ host: getCommercetoolsHost() }),
     createUserAgentMiddleware(),
@@ -69,6 +69,8 @@ const buildVertexConfig = () => ({
   LOCATION: process.env.VERTEX_LOCATION || 'global',
   CATALOG_ID: process.env.VERTEX_CATALOG_ID || 'default_catalog',
   BRANCH_ID: process.env.VERTEX_BRANCH_ID || '0',
+  STAGED_BRANCH_ID: process.env.VERTEX_STAGED_BRANCH_ID,
+  VARIANT_MODE: process.env.VERTEX_VARIANT_MODE,
   CREDENTIALS: {
     type: process.env.VERTEX_SERVICE_ACCOUNT_TYPE || 'service_account',
     project_id: process.env.VERTEX_SERVICE_ACCOUNT_PROJECT_ID || 'whitecap-us',
@@ -127,6 +129,9 @@ app.get('/productCounts', async (req, res) => {
   }
 });
 
+// commercetools product ids are UUIDs; the cursor ends up in a query predicate
+const PRODUCT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 /**
  * Full sync endpoint - Synchronizes all products from commercetools to Vertex AI
  */
@@ -134,7 +139,26 @@ app.post('/fullSync', async (req, res) => {
   try {
     console.log('🚀 Full sync request received');
     
-    const result = await productExportService.performFullSync();
+    // Optional cursor to resume an interrupted sync after the given product id
+    // staged: true exports unpublished edits to the preview branch (VERTEX_STAGED_BRANCH_ID)
+    const { startAfterId, staged = false } = req.body || {};
+    if (startAfterId !== undefined && startAfterId !== null &&
+        (typeof startAfterId !== 'string' || !PRODUCT_ID_PATTERN.test(startAfterId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid full sync request',
+        error: 'startAfterId must be a commercetools product id (UUID)'
+      });
+    }
+    if (typeof staged !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid full sync request',
+        error: 'staged must be true or false'
+      });
+    }
+
+    const result = await productExportService.performFullSync({ startAfterId, staged });
     
     res.status(200).json({
       success: true,
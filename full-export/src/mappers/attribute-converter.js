@@ -0,0 +1,143 @@
+/**
+ * Attribute converter - Turns typed commercetools attribute values into Vertex AI custom attributes
+ *
+ * HybridService normalizes values first: localized strings become maps of configured locale to
+ * value and references carry a display value. This module then maps them to Vertex text/numbers:
+ *
+ *   number, money        -> numbers (money in major units, e.g. 1999 cents -> 19.99)
+ *   enum, lenum          -> text with the (localized) label
+ *   ltext                -> text in the target locale
+ *   reference            -> text with the display value (e.g. the category name)
+ *   set                  -> multi-valued text or numbers
+ *   text, boolean, dates -> text
+ *
+ * getAttributeSettings decides the value kind and the searchable/indexable flags per attribute
+ * from the product type definition; VERTEX_ATTRIBUTE_SETTINGS_FILE can override any of them.
+ */
+
+const NUMBER_TYPES = ['number', 'money'];
+
+/**
+ * Guesses the attribute type from the value, for attributes without a product type definition
+ * @returns {Object} Attribute type like { name: 'set', elementType: { name: 'lenum' } }
+ */
+function inferAttributeType(value) {
+  if (Array.isArray(value)) {
+    return { name: 'set', elementType: inferAttributeType(value[0]) };
+  }
+  if (typeof value === 'number') return { name: 'number' };
+  if (typeof value === 'boolean') return { name: 'boolean' };
+  if (value && typeof value === 'object') {
+    if ('centAmount' in value) return { name: 'money' };
+    if ('typeId' in value && 'id' in value) return { name: 'reference', referenceTypeId: value.typeId };
+    if ('key' in value && 'label' in value) {
+      return { name: typeof value.label === 'string' ? 'enum' : 'lenum' };
+    }
+    return { name: 'ltext' };
+  }
+  return { name: 'text' };
+}
+
+/**
+ * Converts a money value to major units, e.g. { centAmount: 1999, fractionDigits: 2 } -> 19.99
+ */
+function moneyToNumber(money) {
+  return money.centAmount / Math.pow(10, money.fractionDigits ?? 2);
+}
+
+/**
+ * Picks the value for a locale from a normalized localized map; plain strings pass through
+ */
+function pickLocale(value, locale) {
+  if (value === null || value === undefined || typeof value !== 'object') {
+    return value;
+  }
+  return value[locale];
+}
+
+/**
+ * Converts a single (non-set) attribute value to a text or number
+ * @returns {string|number|undefined} Converted value, undefined when there is nothing to export
+ */
+function convertValue(value, type, locale) {
+  if (value === null || value === undefined) return undefined;
+
+  switch (type.name) {
+    case 'number':
+      return typeof value === 'number' ? value : Number(value);
+    case 'money':
+      return moneyToNumber(value);
+    case 'enum':
+      return value.label ?? value.key;
+    case 'lenum':
+      return pickLocale(value.label, locale) ?? value.key;
+    case 'ltext':
+      return pickLocale(value, locale);
+    case 'reference':
+      return pickLocale(value.display, locale) ?? value.id;
+    case 'nested':
+      return undefined;
+    default:
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
+
+/**
+ * Gets the type of a single value of the attribute (the element type for sets)
+ */
+function getElementType(attribute) {
+  const type = attribute.type || inferAttributeType(attribute.value);
+  return type.name === 'set'
+    ? (type.elementType || inferAttributeType(attribute.value?.[0]))
+    : type;
+}
+
+/**
+ * Decides how an attribute is sent to Vertex AI
+ * @param {Object} attribute - { name, type, value, isSearchable, constraint } as produced by HybridService
+ * @param {Object} [overrides] - Settings by attribute name, from getAttributeSettingsOverrides
+ * @returns {Object} { valueType: 'text'|'numbers', searchable, indexable }
+ */
+function getAttributeSettings(attribute, overrides = {}) {
+  const elementType = getElementType(attribute);
+  const valueType = NUMBER_TYPES.includes(elementType.name) ? 'numbers' : 'text';
+  const settings = {
+    valueType,
+    // Attributes without product type information count as searchable, like commercetools' default
+    searchable: attribute.isSearchable !== false,
+    // Unique values (e.g. EANs) and long localized texts make poor filters and facets
+    indexable: attribute.constraint !== 'Unique' && elementType.name !== 'ltext',
+    ...overrides[attribute.name]
+  };
+
+  // Vertex AI only allows text attributes to be searchable
+  if (settings.valueType === 'numbers') {
+    settings.searchable = false;
+  }
+
+  return settings;
+}
+
+/**
+ * Converts a normalized commercetools attribute to a Vertex custom attribute value
+ * @param {Object} attribute - { name, type, value } as produced by HybridService
+ * @param {string} locale - Target locale for localized values
+ * @param {Object} [settings] - Result of getAttributeSettings; its valueType picks text or numbers
+ * @returns {Object|null} { text: [...] } or { numbers: [...] }, null when nothing remains
+ */
+function toVertexAttribute(attribute, locale, settings = getAttributeSettings(attribute)) {
+  const type = attribute.type || inferAttributeType(attribute.value);
+  const elementType = getElementType(attribute);
+  const values = (type.name === 'set' ? attribute.value || [] : [attribute.value])
+    .map(value => convertValue(value, elementType, locale))
+    .filter(value => value !== undefined && value !== null && value !== '');
+
+  if (settings.valueType === 'numbers') {
+    const numbers = values.map(value => Number(value)).filter(value => !Number.isNaN(value));
+    return numbers.length > 0 ? { numbers } : null;
+  }
+
+  return values.length > 0 ? { text: values.map(value => String(value)) } : null;
+}
+
+module.exports = { toVertexAttribute, getAttributeSettings, inferAttributeType, moneyToNumber };
@@ -0,0 +1,537 @@
+/**
+ * Product mapper - Turns a HybridService product into Vertex AI Retail products
+ *
+ * This is the only place where the Vertex product shape is defined. full-export and
+ * incremental-updater ship byte-identical copies, so a product looks the same in Vertex
+ * no matter which app wrote it last; the golden files in test/fixtures/product-mapper
+ * pin the output and are identical in both apps as well.
+ *
+ *   id, type           commercetools product id, PRIMARY (VARIANT products use the SKU)
+ *   title, description localized name and description for the target locale
+ *   categories         localized hierarchy paths, e.g. "Tools > Power Tools > Drills"
+ *   tags               localized leaf category names
+ *   priceInfo          selected price; originalPrice is the undiscounted price, cost from an attribute
+ *                      (VERTEX_COST_ATTRIBUTE), effective/expire times from validFrom/validUntil;
+ *                      an upcoming lower price is sent with the current one as originalPrice
+ *   availability       IN_STOCK, OUT_OF_STOCK, PREORDER or BACKORDER and the available quantity,
+ *   availableQuantity  combined across variants as configured (VERTEX_STOCK_AGGREGATION)
+ *   fulfillmentInfo    places (VERTEX_LOCAL_INVENTORY_PLACES) with stock, by fulfillment type
+ *   rating             review statistics, only for products with reviews
+ *   uri, images        storefront URI template and variant images
+ *   attributes         product type attributes (by attribute name), sku, product_type and,
+ *                      in attributes locale mode, title_<lang>/description_<lang> copies
+ *
+ * Rules from VERTEX_FIELD_MAPPING_FILE run last and can fill brands, tags, sizes, colorInfo
+ * and attributes without code changes.
+ */
+
+const { renderProductUri } = require('../config/product-uri');
+const { toVertexAttribute, getAttributeSettings, moneyToNumber } = require('./attribute-converter');
+const { applyFieldMapping } = require('./field-mapper');
+
+// Vertex fields affected by a kind of commercetools change, and the field mapping sources that read it
+const PARTIAL_UPDATES = {
+  price: { fields: ['priceInfo'], sources: [] },
+  name: { fields: ['title'], sources: ['name'], localized: true },
+  description: { fields: ['description'], sources: ['description'], localized: true },
+  slug: { fields: ['uri'], sources: ['slug'] },
+  categories: { fields: ['categories', 'tags', 'uri'], sources: ['categories', 'categoryPaths'] },
+  images: { fields: ['images'], sources: [] }
+};
+
+// Attribute names checked for stock when a variant has no commercetools availability
+const STOCK_ATTRIBUTE_NAMES = ['stock', 'quantity', 'availableQuantity', 'inventory', 'stockLevel', 'qty', 'qtyAvailable'];
+
+// When variants are combined, the first of these that any variant has wins
+const AVAILABILITY_PRECEDENCE = ['IN_STOCK', 'PREORDER', 'BACKORDER', 'OUT_OF_STOCK'];
+
+class ProductMapper {
+  /**
+   * @param {Object} options
+   * @param {Object} options.localeConfig - Result of getLocaleConfig
+   * @param {string} options.productUriTemplate - Result of getProductUriTemplate
+   * @param {Object} [options.attributeSettingsOverrides] - Result of getAttributeSettingsOverrides
+   * @param {string} [options.variantMode] - primary or variants
+   * @param {Array} [options.fieldMapping] - Result of getFieldMapping
+   * @param {Object} [options.localInventory] - Result of getLocalInventoryConfig
+   * @param {Object} [options.stock] - Result of getStockConfig
+   * @param {Object} [options.priceInfo] - Result of getPriceInfoConfig
+   */
+  constructor({
+    localeConfig,
+    productUriTemplate,
+    attributeSettingsOverrides = {},
+    variantMode = 'primary',
+    fieldMapping = [],
+    localInventory = { places: new Map() },
+    stock = { aggregation: 'sum', preorderAttribute: null },
+    priceInfo = { costAttribute: null }
+  }) {
+    this.localeConfig = localeConfig;
+    this.productUriTemplate = productUriTemplate;
+    this.attributeSettingsOverrides = attributeSettingsOverrides;
+    this.variantMode = variantMode;
+    this.fieldMapping = fieldMapping;
+    this.localInventory = localInventory;
+    this.stock = stock;
+    this.priceInfo = priceInfo;
+  }
+
+  /**
+   * Gets the Vertex fields to update for a kind of change (a key of PARTIAL_UPDATES)
+   * Includes attributes when localized copies or field mapping rules depend on the changed data
+   * @returns {Array<string>} Top-level Vertex product fields for an updateMask
+   */
+  getUpdateMask(change) {
+    const partialUpdate = PARTIAL_UPDATES[change];
+    if (!partialUpdate) {
+      throw new Error(`Unknown partial update "${change}", expected one of ${Object.keys(PARTIAL_UPDATES).join(', ')}`);
+    }
+
+    const fields = new Set(partialUpdate.fields);
+    if (partialUpdate.localized && this.localeConfig.mode === 'attributes' && this.localeConfig.locales.length > 1) {
+      fields.add('attributes');
+    }
+    this.fieldMapping
+      .filter(rule => partialUpdate.sources.includes(rule.source) || partialUpdate.sources.includes(rule.when?.source))
+      .forEach(rule => fields.add(rule.target.split('.')[0]));
+
+    return [...fields];
+  }
+
+  /**
+   * Builds the Vertex products for a commercetools product: the PRIMARY product and,
+   * in variants mode, one VARIANT product per commercetools variant (master variant included)
+   */
+  toVertexProducts(productData, locale = this.localeConfig.defaultLocale) {
+    const primaryProduct = this.toVertexProduct(productData, locale);
+    if (this.variantMode !== 'variants') {
+      return [primaryProduct];
+    }
+
+    const current = productData.masterData?.current;
+    const variants = [current?.masterVariant, ...(current?.variants || [])].filter(Boolean);
+    return [primaryProduct, ...variants.map(variant => this.toVariantProduct(productData, variant, locale))];
+  }
+
+  /**
+   * Builds a VARIANT product with the variant's own SKU, price, availability, images and attributes
+   */
+  toVariantProduct(productData, variant, locale = this.localeConfig.defaultLocale) {
+    const current = productData.masterData?.current;
+
+    // Reuse the PRIMARY mapping on a view of the product that only has this variant
+    const variantView = {
+      ...productData,
+      masterData: {
+        ...productData.masterData,
+        current: { ...current, masterVariant: variant, variants: [] }
+      }
+    };
+
+    const product = this.toVertexProduct(variantView, locale);
+
+    return {
+      ...product,
+      id: this.getVariantProductId(productData, variant),
+      type: 'VARIANT',
+      primaryProductId: productData.id
+    };
+  }
+
+  /**
+   * Vertex product id of a variant: its SKU, or product id and variant id when it has none
+   */
+  getVariantProductId(productData, variant) {
+    return variant.sku || `${productData.id}-${variant.id}`;
+  }
+
+  /**
+   * Builds the PRIMARY Vertex product from the master variant
+   */
+  toVertexProduct(productData, locale = this.localeConfig.defaultLocale) {
+    const current = productData.masterData?.current;
+    const variant = current?.masterVariant || current?.variants?.[0];
+    const categories = current?.categories || [];
+    const { availability, availableQuantity } = this.getStock(productData);
+
+    const product = {
+      id: productData.id,
+      type: 'PRIMARY',
+      title: current?.localizedName?.[locale] || current?.name || 'No name',
+      description: current?.localizedDescription?.[locale] || current?.description || '',
+      languageCode: this.localeConfig.getLanguageCode(locale),
+      categories: categories.map(cat => cat.localizedPath?.[locale] || cat.path || cat.name).filter(Boolean),
+      tags: categories.map(cat => cat.localizedName?.[locale] || cat.name).filter(Boolean),
+      availability,
+      availableQuantity,
+      uri: renderProductUri(this.productUriTemplate, productData, locale) || undefined,
+      images: this.buildImages(variant),
+      attributes: this.buildAttributes(productData, variant, locale)
+    };
+
+    const fulfillmentInfo = this.buildFulfillmentInfo(this.getPlaceStock([current?.masterVariant, ...(current?.variants || [])]));
+    if (fulfillmentInfo.length > 0) {
+      product.fulfillmentInfo = fulfillmentInfo;
+    }
+
+    const priceInfo = this.buildPriceInfo(variant);
+    if (priceInfo) {
+      product.priceInfo = priceInfo;
+    }
+
+    const rating = this.buildRating(productData);
+    if (rating) {
+      product.rating = rating;
+    }
+
+    return applyFieldMapping(product, this.fieldMapping, productData, variant, locale);
+  }
+
+  /**
+   * Builds the Vertex priceInfo from the variant's price
+   * Vertex AI derives discounts from price and originalPrice, so no separate discount attributes are sent.
+   * It uses originalPrice before priceEffectiveTime and after priceExpireTime, so an upcoming price
+   * (e.g. a scheduled sale) is sent with the current price as originalPrice and switches on in time.
+   * originalPrice may not be lower than price, so upcoming price increases wait for the next export.
+   * @param {Object} variant - Variant whose selected price is sent
+   */
+  buildPriceInfo(variant) {
+    const price = this.selectPrice(variant);
+    if (!price?.value) {
+      return null;
+    }
+
+    const sellingPrice = candidate => moneyToNumber(candidate.discounted?.value || candidate.value);
+    const upcomingPrice = this.selectUpcomingPrice(variant, price);
+    const scheduled = upcomingPrice && sellingPrice(upcomingPrice) <= sellingPrice(price) ? upcomingPrice : null;
+
+    const priceInfo = {
+      currencyCode: price.value.currencyCode,
+      price: sellingPrice(scheduled || price),
+      originalPrice: scheduled ? sellingPrice(price) : moneyToNumber(price.value)
+    };
+
+    const cost = this.getCost(variant, price.value.currencyCode);
+    if (cost !== null) {
+      priceInfo.cost = cost;
+    }
+
+    const { validFrom, validUntil } = scheduled || price;
+    if (validFrom) {
+      priceInfo.priceEffectiveTime = validFrom;
+    }
+    if (validUntil) {
+      priceInfo.priceExpireTime = validUntil;
+    }
+    return priceInfo;
+  }
+
+  /**
+   * Reads the cost attribute: a number, or money in the price's currency
+   * @returns {number|null}
+   */
+  getCost(variant, currencyCode) {
+    if (!this.priceInfo.costAttribute) {
+      return null;
+    }
+
+    const value = variant.attributes?.find(attr => attr.name === this.priceInfo.costAttribute)?.value;
+    if (typeof value === 'number') {
+      return value;
+    }
+    if (value?.centAmount !== undefined && value.currencyCode === currencyCode) {
+      return moneyToNumber(value);
+    }
+    return null;
+  }
+
+  /**
+   * Picks the price to export for a variant
+   * Uses the commercetools price selection when configured, otherwise the first currently valid price
+   */
+  selectPrice(variant) {
+    if (variant && 'selectedPrice' in variant) {
+      return variant.selectedPrice;
+    }
+
+    const now = Date.now();
+    return variant?.prices?.find(price =>
+      (!price.validFrom || Date.parse(price.validFrom) <= now) &&
+      (!price.validUntil || Date.parse(price.validUntil) > now)
+    ) || null;
+  }
+
+  /**
+   * Finds the next price with the selected price's scope (currency, country, customer group and
+   * channel) that is not valid yet
+   * @returns {Object|null} Price with the earliest future validFrom
+   */
+  selectUpcomingPrice(variant, selectedPrice) {
+    const now = Date.now();
+    const scope = price => [
+      price.value?.currencyCode,
+      price.country || null,
+      price.customerGroup?.id || null,
+      price.channel?.id || null
+    ].join('|');
+
+    return (variant.prices || [])
+      .filter(price => scope(price) === scope(selectedPrice) && price.validFrom && Date.parse(price.validFrom) > now)
+      .sort((a, b) => Date.parse(a.validFrom) - Date.parse(b.validFrom))[0] || null;
+  }
+
+  /**
+   * Combines the stock of the product's variants as configured (sum, master or any)
+   * Both fields are left out when no variant has stock information, so Vertex AI keeps its defaults
+   * @returns {Object} { availability, availableQuantity }
+   */
+  getStock(productData) {
+    const current = productData.masterData?.current;
+    const variants = this.stock.aggregation === 'master'
+      ? [current?.masterVariant || current?.variants?.[0]].filter(Boolean)
+      : [current?.masterVariant, ...(current?.variants || [])].filter(Boolean);
+
+    const quantities = variants.map(variant => this.getVariantQuantity(variant));
+    const knownQuantities = quantities.filter(quantity => quantity !== null);
+    const states = variants.map((variant, index) => this.getVariantAvailability(variant, quantities[index]));
+
+    let availableQuantity;
+    if (knownQuantities.length > 0) {
+      availableQuantity = this.stock.aggregation === 'any'
+        ? Math.max(...knownQuantities)
+        : knownQuantities.reduce((sum, quantity) => sum + quantity, 0);
+    }
+
+    return {
+      availability: AVAILABILITY_PRECEDENCE.find(state => states.includes(state)),
+      availableQuantity
+    };
+  }
+
+  /**
+   * Gets the stock of a variant; commercetools availability wins over stock attributes
+   * @returns {number|null} null when the variant has no stock information
+   */
+  getVariantQuantity(variant) {
+    const availableQuantity = variant.availability?.availableQuantity;
+    if (availableQuantity !== undefined && availableQuantity !== null) {
+      return availableQuantity;
+    }
+
+    const stockAttribute = variant.attributes?.find(attr => STOCK_ATTRIBUTE_NAMES.includes(attr.name));
+    const attributeQuantity = parseInt(stockAttribute?.value, 10);
+    return Number.isNaN(attributeQuantity) ? null : attributeQuantity;
+  }
+
+  /**
+   * Gets the Vertex availability of a variant:
+   * PREORDER when the pre-order attribute says so, IN_STOCK with stock (or isOnStock without a quantity),
+   * BACKORDER when commercetools knows when it is restocked, otherwise OUT_OF_STOCK
+   * @returns {string|null} null when the variant has no stock information
+   */
+  getVariantAvailability(variant, quantity) {
+    if (this.isPreorder(variant)) {
+      return 'PREORDER';
+    }
+
+    const { isOnStock, restockableInDays } = variant.availability || {};
+    if (quantity > 0 || (quantity === null && isOnStock)) {
+      return 'IN_STOCK';
+    }
+    if (typeof restockableInDays === 'number') {
+      return 'BACKORDER';
+    }
+    if (quantity !== null || isOnStock === false) {
+      return 'OUT_OF_STOCK';
+    }
+    return null;
+  }
+
+  /**
+   * Checks the pre-order attribute: true, or a release date that is still in the future
+   */
+  isPreorder(variant) {
+    if (!this.stock.preorderAttribute) {
+      return false;
+    }
+
+    const attribute = variant.attributes?.find(attr => attr.name === this.stock.preorderAttribute);
+    const value = attribute?.value;
+    if (['date', 'datetime'].includes(attribute?.type?.name)) {
+      return Date.parse(value) > Date.now();
+    }
+    return value === true || String(value?.key ?? value).toLowerCase() === 'true';
+  }
+
+  /**
+   * Sums the per-channel stock of variants by Vertex place; configured places without stock get 0
+   * `listed` tells whether any variant has availability for the place's channel
+   * @returns {Map} { quantity, fulfillmentTypes, listed } by place id
+   */
+  getPlaceStock(variants) {
+    const placeStock = new Map();
+    this.localInventory.places.forEach(({ placeId, fulfillmentTypes }) => {
+      placeStock.set(placeId, { quantity: 0, fulfillmentTypes, listed: false });
+    });
+
+    variants.filter(Boolean).forEach(variant => {
+      Object.values(variant.availability?.channels || {}).forEach(channel => {
+        const place = this.localInventory.places.get(channel.key);
+        if (place) {
+          const stock = placeStock.get(place.placeId);
+          stock.quantity += channel.availableQuantity || 0;
+          stock.listed = true;
+        }
+      });
+    });
+
+    return placeStock;
+  }
+
+  /**
+   * Builds Vertex fulfillmentInfo: per fulfillment type, the places that have stock
+   */
+  buildFulfillmentInfo(placeStock) {
+    const placeIdsByType = new Map();
+    placeStock.forEach(({ quantity, fulfillmentTypes }, placeId) => {
+      if (quantity <= 0) return;
+      fulfillmentTypes.forEach(type => {
+        if (!placeIdsByType.has(type)) placeIdsByType.set(type, []);
+        placeIdsByType.get(type).push(placeId);
+      });
+    });
+
+    return [...placeIdsByType].map(([type, placeIds]) => ({ type, placeIds }));
+  }
+
+  /**
+   * Builds the local inventory updates for the Vertex products of a commercetools product
+   * (same products as toVertexProducts): places with stock are added, places whose channel
+   * has no stock are removed
+   * @param {Object} [options]
+   * @param {boolean} [options.removeUnlisted] - Also remove places without availability for their channel,
+   *   e.g. after an inventory entry was deleted
+   * @returns {Array<Object>} { productId, localInventories, removedPlaceIds }, empty without configured places
+   */
+  toLocalInventoryUpdates(productData, { removeUnlisted = false } = {}) {
+    if (this.localInventory.places.size === 0) {
+      return [];
+    }
+
+    const current = productData.masterData?.current;
+    const variants = [current?.masterVariant, ...(current?.variants || [])].filter(Boolean);
+    const toUpdate = (productId, placeStock) => {
+      const inStock = [...placeStock].filter(([, { quantity }]) => quantity > 0);
+      return {
+        productId,
+        localInventories: inStock.map(([placeId, { quantity, fulfillmentTypes }]) => ({
+          placeId,
+          fulfillmentTypes,
+          attributes: { available_quantity: { numbers: [quantity] } }
+        })),
+        removedPlaceIds: [...placeStock]
+          .filter(([, { quantity, listed }]) => quantity <= 0 && (listed || removeUnlisted))
+          .map(([placeId]) => placeId)
+      };
+    };
+
+    const updates = [toUpdate(productData.id, this.getPlaceStock(variants))];
+    if (this.variantMode === 'variants') {
+      variants.forEach(variant => {
+        updates.push(toUpdate(this.getVariantProductId(productData, variant), this.getPlaceStock([variant])));
+      });
+    }
+    return updates;
+  }
+
+  /**
+   * Builds the Vertex rating from commercetools reviewRatingStatistics
+   * Vertex AI expects ratings between 1 and 5; products without reviews (or on another scale) get no rating
+   */
+  buildRating(productData) {
+    const statistics = productData.reviewRatingStatistics;
+    if (!statistics?.count) {
+      return null;
+    }
+
+    if (statistics.averageRating < 1 || statistics.averageRating > 5) {
+      console.warn(`⚠️ Product ${productData.id} has an average rating of ${statistics.averageRating} outside 1-5, skipping rating`);
+      return null;
+    }
+
+    return {
+      averageRating: statistics.averageRating,
+      ratingCount: statistics.count
+    };
+  }
+
+  /**
+   * Maps variant images; dimensions are only sent when commercetools knows them
+   */
+  buildImages(variant) {
+    return (variant?.images || []).map(img => ({
+      uri: img.url,
+      ...(img.dimensions?.h ? { height: img.dimensions.h } : {}),
+      ...(img.dimensions?.w ? { width: img.dimensions.w } : {})
+    }));
+  }
+
+  /**
+   * Builds the custom attributes; sku and product_type win over product type attributes of the same name
+   */
+  buildAttributes(productData, variant, locale) {
+    const attributes = {};
+
+    (variant?.attributes || []).forEach(attr => {
+      if (!attr.name) return;
+
+      // Value kind and flags come from the product type, unless overridden
+      const settings = getAttributeSettings(attr, this.attributeSettingsOverrides);
+      const vertexAttribute = toVertexAttribute(attr, locale, settings);
+      if (vertexAttribute) {
+        attributes[attr.name] = {
+          ...vertexAttribute,
+          searchable: settings.searchable,
+          indexable: settings.indexable
+        };
+      }
+    });
+
+    if (variant?.sku) {
+      attributes.sku = { text: [variant.sku], searchable: true, indexable: true };
+    }
+
+    if (productData.productType) {
+      attributes.product_type = { text: [productData.productType], searchable: true, indexable: true };
+    }
+
+    // In attributes mode, other locales travel as localized copies (e.g. title_de, description_de)
+    if (this.localeConfig.mode === 'attributes') {
+      const current = productData.masterData?.current;
+      this.localeConfig.locales
+        .filter(otherLocale => otherLocale !== locale)
+        .forEach(otherLocale => {
+          const suffix = this.localeConfig.getLanguageCode(otherLocale).toLowerCase().replace(/[^a-z0-9]/g, '_');
+          if (current?.localizedName?.[otherLocale]) {
+            attributes[`title_${suffix}`] = {
+              text: [current.localizedName[otherLocale]],
+              searchable: true,
+              indexable: true
+            };
+          }
+          if (current?.localizedDescription?.[otherLocale]) {
+            attributes[`description_${suffix}`] = {
+              text: [current.localizedDescription[otherLocale]],
+              searchable: true,
+              indexable: false
+            };
+          }
+        });
+    }
+
+    return attributes;
+  }
+}
+
+module.exports = { ProductMapper };
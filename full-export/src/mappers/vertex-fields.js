@@ -0,0 +1,87 @@
+/**
+ * Vertex fields - Native Vertex AI product fields that field mapping rules can fill, with their limits
+ *
+ * Vertex AI's built-in facets and recommendation models only read these fields, not custom attributes.
+ * Enum fields accept Vertex's documented values only (matched case-insensitively); other values are
+ * dropped with a warning instead of failing the whole import.
+ */
+
+const VERTEX_FIELDS = {
+  brands: { maxValues: 30, maxLength: 1000 },
+  tags: { maxValues: 250, maxLength: 1000 },
+  sizes: { maxValues: 20, maxLength: 128 },
+  materials: { maxValues: 20, maxLength: 200 },
+  patterns: { maxValues: 20, maxLength: 128 },
+  conditions: { maxValues: 1, values: ['new', 'refurbished', 'used'] },
+  gtin: { single: true, pattern: /^(\d{8}|\d{12}|\d{13}|\d{14})$/, description: '8, 12, 13 or 14 digits' },
+  'colorInfo.colors': { maxValues: 75, maxLength: 128 },
+  'colorInfo.colorFamilies': {
+    maxValues: 5,
+    values: ['Red', 'Pink', 'Orange', 'Yellow', 'Purple', 'Green', 'Cyan', 'Blue', 'Magenta', 'Brown', 'White', 'Gray', 'Black', 'Mixed']
+  },
+  'audience.genders': { maxValues: 5, values: ['male', 'female', 'unisex'] },
+  'audience.ageGroups': { maxValues: 5, values: ['newborn', 'infant', 'toddler', 'kids', 'adult'] }
+};
+
+/**
+ * Maps a value to Vertex's spelling of an enum value, e.g. "BLUE" -> "Blue"
+ * @returns {string|undefined} Allowed value, undefined when the value is not allowed
+ */
+function toEnumValue(field, value) {
+  const lowerCaseValue = String(value).toLowerCase();
+  return field.values.find(allowed => allowed.toLowerCase() === lowerCaseValue);
+}
+
+/**
+ * Checks a single value against a field, e.g. for defaults and lookup tables at startup
+ * @returns {string|null} Reason the value is invalid, null when it is valid
+ */
+function checkFieldValue(target, value) {
+  const field = VERTEX_FIELDS[target];
+  if (field.values && !toEnumValue(field, value)) {
+    return `"${value}" is not one of ${field.values.join(', ')}`;
+  }
+  if (field.pattern && !field.pattern.test(String(value))) {
+    return `"${value}" is not ${field.description}`;
+  }
+  return null;
+}
+
+/**
+ * Makes values fit a native field: enum spelling, format and Vertex's value and length limits
+ * @param {string} target - Key of VERTEX_FIELDS
+ * @param {Array} values - Values produced by the field mapping
+ * @param {string} productId - For warnings
+ * @returns {Array<string>} Values to send
+ */
+function normalizeFieldValues(target, values, productId) {
+  const field = VERTEX_FIELDS[target];
+  const accepted = [];
+
+  values.forEach(value => {
+    const reason = checkFieldValue(target, value);
+    if (reason) {
+      console.warn(`⚠️ Product ${productId}: dropping ${target} value ${reason}`);
+      return;
+    }
+
+    const text = field.values ? toEnumValue(field, value) : String(value);
+    if (field.maxLength && text.length > field.maxLength) {
+      console.warn(`⚠️ Product ${productId}: dropping ${target} value longer than ${field.maxLength} characters`);
+      return;
+    }
+    if (!accepted.includes(text)) {
+      accepted.push(text);
+    }
+  });
+
+  const maxValues = field.single ? 1 : field.maxValues;
+  if (accepted.length > maxValues) {
+    console.warn(`⚠️ Product ${productId}: ${target} has ${accepted.length} values, keeping the first ${maxValues}`);
+    return accepted.slice(0, maxValues);
+  }
+
+  return accepted;
+}
+
+module.exports = { VERTEX_FIELDS, checkFieldValue, normalizeFieldValues };
@@ -0,0 +1,57 @@
+/**
+ * Connect and read timeouts for https requests to commercetools
+ * Shared by the API client and the token manager, so an auth call can hang no longer than an API call
+ */
+
+/**
+ * Reads an integer setting; an explicit 0 is kept (e.g. no retries, no timeout)
+ * @returns {number} The value, or defaultValue when it is missing or not a number
+ */
+function readIntSetting(value, defaultValue) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? defaultValue : number;
+}
+
+/**
+ * Reads the timeouts from CTP_HTTP_CONNECT_TIMEOUT_MS and CTP_HTTP_READ_TIMEOUT_MS; 0 disables a timeout
+ * @returns {Object} { connectTimeoutMs, readTimeoutMs }
+ */
+function getHttpTimeouts(env = process.env) {
+  return {
+    connectTimeoutMs: readIntSetting(env.CTP_HTTP_CONNECT_TIMEOUT_MS, 5000),
+    readTimeoutMs: readIntSetting(env.CTP_HTTP_READ_TIMEOUT_MS, 30000)
+  };
+}
+
+function timeoutError(message) {
+  const error = new Error(message);
+  error.code = 'ETIMEDOUT';
+  return error;
+}
+
+/**
+ * Destroys the request with an ETIMEDOUT error when connecting or waiting for data takes too long
+ * @param {http.ClientRequest} req - Request before it is ended
+ * @param {Object} timeouts - { connectTimeoutMs, readTimeoutMs }, 0 disables a timeout
+ */
+function applyTimeouts(req, { connectTimeoutMs, readTimeoutMs }) {
+  // Connect timeout - only applies to fresh sockets, pooled ones are already connected
+  req.on('socket', (socket) => {
+    if (!socket.connecting || !connectTimeoutMs) return;
+
+    const connectTimer = setTimeout(() => {
+      req.destroy(timeoutError(`Connect timeout after ${connectTimeoutMs}ms`));
+    }, connectTimeoutMs);
+    socket.once('connect', () => clearTimeout(connectTimer));
+    socket.once('close', () => clearTimeout(connectTimer));
+  });
+
+  // Read timeout - fires when the socket is idle for too long while waiting for data
+  if (readTimeoutMs) {
+    req.setTimeout(readTimeoutMs, () => {
+      req.destroy(timeoutError(`Read timeout after ${readTimeoutMs}ms`));
+    });
+  }
+}
+
+module.exports = { applyTimeouts, getHttpTimeouts, readIntSetting };
@@ -3,12 +3,226 @@
  * Combines the best of both APIs to get complete product information
  */
 
-const https = require('https');
+const { defaultTokenManager } = require('./token-manager');
+const { CommercetoolsHttpClient, CommercetoolsApiError } = require('./commercetools-http-client');
+const { getLocaleConfig, resolveLocalized } = require('../config/locales');
+const { getPriceSelection, toPriceSelectionQuery } = require('../config/price-selection');
+const { inferAttributeType } = require('../mappers/attribute-converter');
+const { mapWithConcurrency } = require('./concurrency');
+
+/**
+ * Price fields, shared by the full price list and the selected price
+ */
+const PRICE_FIELDS = `
+      id
+      channel {
+        id
+        key
+      }
+      value {
+        type
+        currencyCode
+        centAmount
+      }
+      discounted {
+        value {
+          type
+          currencyCode
+          centAmount
+        }
+      }
+      country
+      customerGroupRef {
+        id
+      }
+      validFrom
+      validUntil
+`;
+
+/**
+ * Builds the product fields requested by both the full export and the single-product path
+ * With a price selection, each variant also gets the price commercetools selects for it
+ * Staged data is aliased to `current` so the rest of the pipeline reads a single shape
+ * @param {Object|null} priceSelection - Result of getPriceSelection
+ * @param {boolean} [staged] - Request masterData.staged instead of masterData.current
+ */
+function buildProductFieldsFragment(priceSelection, staged = false) {
+  const selectedPriceField = priceSelection ? `
+    selectedPrice: price(
+      currency: $priceCurrency
+      country: $priceCountry
+      customerGroupId: $priceCustomerGroupId
+      channelId: $priceChannelId
+    ) {${PRICE_FIELDS}    }` : '';
+
+  return `
+  fragment ProductFields on Product {
+    id
+    key
+    version
+    createdAt
+    lastModifiedAt
+    productType {
+      id
+      name
+    }
+    reviewRatingStatistics {
+      averageRating
+      count
+    }
+    masterData {
+      ${staged ? 'current: staged' : 'current'} {
+        nameAllLocales {
+          locale
+          value
+        }
+        descriptionAllLocales {
+          locale
+          value
+        }
+        slugAllLocales {
+          locale
+          value
+        }
+        categories {
+          id
+        }
+        masterVariant {
+          ...VariantFields
+        }
+        variants {
+          ...VariantFields
+        }
+      }
+    }
+  }
+
+  fragment VariantFields on ProductVariant {
+    id
+    sku
+    images {
+      url
+      dimensions {
+        width
+        height
+      }
+    }
+    prices {${PRICE_FIELDS}    }${selectedPriceField}
+    attributesRaw {
+      name
+      value
+    }
+  }
+`;
+}
+
+/**
+ * Categories with their ancestors (root first), looked up once per category
+ */
+const CATEGORIES_QUERY = `
+  query GetCategories($where: String!, $limit: Int!) {
+    categories(where: $where, limit: $limit) {
+      results {
+        ...CategoryFields
+        ancestors {
+          ...CategoryFields
+        }
+      }
+    }
+  }
+
+  fragment CategoryFields on Category {
+    id
+    nameAllLocales {
+      locale
+      value
+    }
+    slugAllLocales {
+      locale
+      value
+    }
+  }
+`;
+
+// Separator Vertex AI expects between category path levels
+const CATEGORY_PATH_SEPARATOR = ' > ';
+// How long the incremental path reuses store channels, product types, channel keys and
+// category paths before looking them up again
+const LOOKUP_CACHE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * GraphQL variable definitions needed by the selected price field
+ */
+function buildPriceSelectionVariableDefinitions(priceSelection) {
+  return priceSelection
+    ? ', $priceCurrency: Currency!, $priceCountry: Country, $priceCustomerGroupId: String, $priceChannelId: String'
+    : '';
+}
+
+// REST endpoints used to look up display values of referenced resources
+const REFERENCE_ENDPOINTS = {
+  category: '/categories',
+  channel: '/channels',
+  'customer-group': '/customer-groups',
+  product: '/product-projections',
+  'product-type': '/product-types',
+  state: '/states'
+};
+// Maximum ids per `id in (...)` lookup
+const ID_LOOKUP_CHUNK_SIZE = 100;
+
+// Smallest page size tried before a complexity error is given up on
+const MIN_PAGE_SIZE = 1;
+// Consecutive successful pages before the page size is grown again
+const PAGE_SIZE_GROWTH_INTERVAL = 3;
+
+/**
+ * Checks whether commercetools rejected a GraphQL query for being too complex
+ */
+function isQueryComplexityError(error) {
+  const messages = error.graphqlErrors
+    ? error.graphqlErrors.map(graphqlError => `${graphqlError.extensions?.code || ''} ${graphqlError.message}`)
+    : [error.body || error.message];
+  return messages.some(message => /complexity/i.test(message || ''));
+}
+
+/**
+ * Error raised when a product is outside the configured store's product selections
+ */
+class ProductNotInStoreError extends Error {
+  constructor(productId, storeKey) {
+    super(`Product ${productId} is not part of store ${storeKey}`);
+    this.name = 'ProductNotInStoreError';
+    this.productId = productId;
+  }
+}
 
 class HybridService {
-  constructor() {
+  constructor(options = {}) {
     this.apiHost = this.getApiHost();
-    this.authHost = this.getAuthHost();
+    this.tokenManager = options.tokenManager || defaultTokenManager;
+    this.httpClient = options.httpClient || new CommercetoolsHttpClient({
+      apiHost: this.apiHost,
+      tokenManager: this.tokenManager
+    });
+    this.availabilityConcurrency = options.availabilityConcurrency ||
+      parseInt(process.env.CTP_AVAILABILITY_CONCURRENCY, 10) || 5;
+    this.pageSize = options.pageSize || parseInt(process.env.CTP_PAGE_SIZE, 10) || 100;
+    this.localeConfig = options.localeConfig || getLocaleConfig();
+    this.priceSelection = options.priceSelection !== undefined ? options.priceSelection : getPriceSelection();
+    this.productFieldsFragments = {
+      current: buildProductFieldsFragment(this.priceSelection),
+      staged: buildProductFieldsFragment(this.priceSelection, true)
+    };
+
+    // Store scoping is opt-in: CTP_STORE_KEY alone keeps exporting the whole project
+    this.storeKey = options.storeKey !== undefined
+      ? options.storeKey
+      : (process.env.CTP_STORE_SCOPED === 'true' ? process.env.CTP_STORE_KEY : null);
+    if (process.env.CTP_STORE_SCOPED === 'true' && !this.storeKey) {
+      throw new Error('CTP_STORE_SCOPED is enabled but CTP_STORE_KEY is not set');
+    }
+    this.resetLookupCaches();
   }
 
   getApiHost() {
@@ -24,473 +238,701 @@ class HybridService {
     }
   }
 
-  getAuthHost() {
-    switch (process.env.CTP_REGION) {
-      case 'gcp-europe-west1':
-      case 'europe-west1':
-        return 'https://auth.europe-west1.gcp.commercetools.com';
-      case 'gcp-us-central1':
-      case 'us-central1':
-        return 'https://auth.us-central1.gcp.commercetools.com';
-      default:
-        return 'https://auth.commercetools.com';
-    }
+  /**
+   * Gets a cached access token from the shared token manager
+   */
+  async getAccessToken() {
+    return this.tokenManager.getAccessToken();
   }
 
   /**
-   * Gets an access token from commercetools OAuth endpoint
+   * Executes a GraphQL query
    */
-  async getAccessToken() {
-    return new Promise((resolve, reject) => {
-      // Validate required environment variables
-      if (!process.env.CTP_CLIENT_ID || !process.env.CTP_CLIENT_SECRET || !process.env.CTP_PROJECT_KEY) {
-        reject(new Error('Missing required environment variables: CTP_CLIENT_ID, CTP_CLIENT_SECRET, or CTP_PROJECT_KEY'));
-        return;
-      }
-      
-      const postData = `grant_type=client_credentials&scope=manage_project:${process.env.CTP_PROJECT_KEY}`;
-      
-      // Create proper Base64 encoding for Basic Auth
-      const credentials = Buffer.from(`${process.env.CTP_CLIENT_ID}:${process.env.CTP_CLIENT_SECRET}`).toString('base64');
-      
-      const options = {
-        hostname: this.authHost.replace('https://', ''),
-        port: 443,
-        path: '/oauth/token',
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Authorization': `Basic ${credentials}`,
-          'User-Agent': 'Commercetools-Hybrid-Service/1.0'
-        }
-      };
+  async executeGraphQLQuery(query, variables = {}) {
+    const response = await this.httpClient.request({
+      method: 'POST',
+      path: '/graphql',
+      body: { query, variables }
+    });
 
-      const req = https.request(options, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          if (res.statusCode === 200) {
-            try {
-              const tokenData = JSON.parse(data);
-              resolve(tokenData.access_token);
-            } catch (parseError) {
-              reject(new Error(`Failed to parse token response: ${parseError.message}`));
-            }
-          } else {
-            reject(new Error(`HTTP ${res.statusCode}: ${data}`));
-          }
-        });
+    if (response.body.errors) {
+      throw new CommercetoolsApiError(`GraphQL errors: ${JSON.stringify(response.body.errors)}`, {
+        statusCode: response.statusCode,
+        correlationId: response.correlationId,
+        path: `/${process.env.CTP_PROJECT_KEY}/graphql`,
+        graphqlErrors: response.body.errors
       });
+    }
 
-      req.on('error', (error) => {
-        reject(error);
-      });
+    return response.body.data;
+  }
 
-      req.write(postData);
-      req.end();
-    });
+  /**
+   * Executes a GET request against the REST API
+   * @param {string} path - Path relative to the project, e.g. /products/<id>
+   */
+  async executeRestGet(path) {
+    const response = await this.httpClient.request({ method: 'GET', path });
+    return response.body;
   }
 
   /**
-   * Executes a GraphQL query
+   * GraphQL variables for the selected price field
    */
-  async executeGraphQLQuery(query, variables = {}) {
-    const accessToken = await this.getAccessToken();
-    
-    return new Promise((resolve, reject) => {
-      const postData = JSON.stringify({
-        query,
-        variables
-      });
-      
-      const options = {
-        hostname: this.apiHost.replace('https://', ''),
-        port: 443,
-        path: `/${process.env.CTP_PROJECT_KEY}/graphql`,
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-          'Content-Length': Buffer.byteLength(postData)
-        }
+  getPriceSelectionVariables() {
+    if (!this.priceSelection) return {};
+
+    return {
+      priceCurrency: this.priceSelection.currency,
+      priceCountry: this.priceSelection.country,
+      priceCustomerGroupId: this.priceSelection.customerGroupId,
+      priceChannelId: this.priceSelection.channelId
+    };
+  }
+
+  /**
+   * Gets the GraphQL product fragment for the current or the staged product data
+   */
+  getProductFieldsFragment(staged = false) {
+    return staged ? this.productFieldsFragments.staged : this.productFieldsFragments.current;
+  }
+
+  /**
+   * Gets the product-projections endpoint, scoped to the store when store scoping is enabled
+   */
+  getProductProjectionsPath() {
+    return this.storeKey
+      ? `/in-store/key=${encodeURIComponent(this.storeKey)}/product-projections`
+      : '/product-projections';
+  }
+
+  /**
+   * Loads the store's distribution (price) and supply (inventory) channel IDs, cached until resetLookupCaches
+   * @returns {Promise<Object|null>} Channel ID sets, or null when store scoping is disabled
+   */
+  async loadStoreChannels() {
+    if (!this.storeKey) return null;
+
+    if (!this.storeChannels) {
+      const store = await this.executeRestGet(`/stores/key=${encodeURIComponent(this.storeKey)}`);
+      this.storeChannels = {
+        distributionChannelIds: new Set((store.distributionChannels || []).map(channel => channel.id)),
+        supplyChannelIds: new Set((store.supplyChannels || []).map(channel => channel.id))
       };
+    }
 
-      const req = https.request(options, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          if (res.statusCode === 200) {
-            const result = JSON.parse(data);
-            if (result.errors) {
-              reject(new Error(`GraphQL errors: ${JSON.stringify(result.errors)}`));
-            } else {
-              resolve(result.data);
-            }
-          } else {
-            reject(new Error(`HTTP ${res.statusCode}: ${data}`));
-          }
-        });
-      });
+    return this.storeChannels;
+  }
 
-      req.on('error', (error) => {
-        reject(error);
-      });
+  /**
+   * Finds the product that has a variant with the SKU, in its current or staged data
+   * @returns {Promise<string|null>} Product ID, or null when no product has the SKU
+   */
+  async findProductIdBySku(sku) {
+    const skuValue = JSON.stringify(sku);
+    const variantPredicate = `masterVariant(sku = ${skuValue}) or variants(sku = ${skuValue})`;
+    const where = `masterData(current(${variantPredicate}) or staged(${variantPredicate}))`;
+    const response = await this.executeRestGet(`/products?where=${encodeURIComponent(where)}&limit=1`);
+    return response.results?.[0]?.id || null;
+  }
 
-      req.write(postData);
-      req.end();
-    });
+  /**
+   * Gets the SKU of an inventory entry (InventoryEntryQuantitySet messages only carry its id)
+   */
+  async getInventoryEntrySku(inventoryEntryId) {
+    const inventoryEntry = await this.executeRestGet(`/inventory/${inventoryEntryId}`);
+    return inventoryEntry.sku;
   }
 
   /**
    * Gets product availability data from REST API
+   * With store scoping, returns null for products outside the store's product selections
+   * Staged data is returned as masterData.current, like the GraphQL fragment
    */
-  async getProductAvailability(productId) {
-    const accessToken = await this.getAccessToken();
-    
-    return new Promise((resolve, reject) => {
-      const options = {
-        hostname: this.apiHost.replace('https://', ''),
-        port: 443,
-        path: `/${process.env.CTP_PROJECT_KEY}/products/${productId}`,
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'User-Agent': 'Commercetools-Hybrid-Service/1.0'
-        }
-      };
+  async getProductAvailability(productId, { staged = false } = {}) {
+    if (!this.storeKey) {
+      const product = await this.executeRestGet(`/products/${productId}`);
+      return staged ? { masterData: { current: product.masterData?.staged } } : product;
+    }
 
-      const req = https.request(options, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          if (res.statusCode === 200) {
-            try {
-              const productData = JSON.parse(data);
-              resolve(productData);
-            } catch (parseError) {
-              reject(new Error(`Failed to parse product response: ${parseError.message}`));
-            }
-          } else {
-            reject(new Error(`HTTP ${res.statusCode}: ${data}`));
-          }
-        });
-      });
+    try {
+      const projection = await this.executeRestGet(
+        `${this.getProductProjectionsPath()}/${productId}?staged=${staged}${toPriceSelectionQuery(this.priceSelection)}`
+      );
+      return { masterData: { current: projection } };
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+  }
 
-      req.on('error', (error) => {
-        reject(error);
+  /**
+   * Gets availability data for a page of products with a single product-projections query
+   * Products missing from the bulk response (e.g. unpublished) fall back to per-product
+   * lookups, at most CTP_AVAILABILITY_CONCURRENCY at a time
+   * With store scoping, products outside the store's product selections map to null
+   * @param {Array<string>} productIds - Product IDs to look up
+   * @param {Object} [options] - Lookup options
+   * @param {boolean} [options.staged] - Read the staged projections
+   * @returns {Promise<Map>} REST product data by product ID
+   */
+  async getProductsAvailability(productIds, { staged = false } = {}) {
+    const availabilityById = new Map();
+    if (productIds.length === 0) {
+      return availabilityById;
+    }
+
+    let bulkLookupSucceeded = false;
+    try {
+      const where = `id in (${productIds.map(id => `"${id}"`).join(', ')})`;
+      const response = await this.executeRestGet(
+        `${this.getProductProjectionsPath()}?where=${encodeURIComponent(where)}&limit=${productIds.length}&staged=${staged}` +
+        toPriceSelectionQuery(this.priceSelection)
+      );
+
+      // Shape projections like REST products so mergeProductData can read them
+      response.results.forEach(projection => {
+        availabilityById.set(projection.id, { masterData: { current: projection } });
       });
+      bulkLookupSucceeded = true;
+    } catch (error) {
+      console.error('❌ Bulk availability lookup failed, falling back to per-product lookups:', error.message);
+    }
+
+    // The in-store endpoint only returns products in the store, so its answer is final
+    if (this.storeKey && bulkLookupSucceeded) {
+      productIds
+        .filter(id => !availabilityById.has(id))
+        .forEach(id => availabilityById.set(id, null));
+      return availabilityById;
+    }
 
-      req.end();
+    const missingIds = productIds.filter(id => !availabilityById.has(id));
+    await mapWithConcurrency(missingIds, this.availabilityConcurrency, async (productId) => {
+      try {
+        availabilityById.set(productId, await this.getProductAvailability(productId, { staged }));
+      } catch (error) {
+        console.error(`❌ Failed to get availability for product ${productId}:`, error.message);
+      }
     });
+
+    return availabilityById;
   }
 
   /**
-   * Fetches all products with complete data (GraphQL + REST availability)
+   * Fetches one page of products with complete data (GraphQL + REST availability)
+   * Pages by id instead of offset, since commercetools caps offset at 10,000
+   * @param {Object} options - Page options
+   * @param {string} [options.afterId] - Cursor; only products with a greater id are returned
+   * @param {number} [options.limit] - Page size
+   * @param {boolean} [options.staged] - Read masterData.staged instead of masterData.current
+   * @returns {Promise<Object>} Page with products, catalog total and the cursor for the next page
    */
-  async fetchAllProducts() {
-    try {
-      // Get product data from GraphQL (minimal to reduce complexity)
-      const graphqlQuery = `
-        query GetProducts($limit: Int!, $offset: Int!) {
-          products(limit: $limit, offset: $offset) {
-            total
-            results {
-              id
-              key
-              version
-              productType {
-                name
-              }
-              masterData {
-                current {
-                  name(locale: "en-US")
-                  description(locale: "en-US")
-                  categories {
-                    id
-                    name(acceptLanguage: ["en-US", "en"])
-                  }
-                  masterVariant {
-                    id
-                    sku
-                    prices {
-                      value {
-                        currencyCode
-                        centAmount
-                      }
-                      discounted {
-                        value {
-                          currencyCode
-                          centAmount
-                        }
-                      }
-                    }
-                    attributesRaw {
-                      name
-                      value
-                    }
-                  }
-                  variants {
-                    id
-                    sku
-                    prices {
-                      value {
-                        currencyCode
-                        centAmount
-                      }
-                      discounted {
-                        value {
-                          currencyCode
-                          centAmount
-                        }
-                      }
-                    }
-                    attributesRaw {
-                      name
-                      value
-                    }
-                  }
-                }
-              }
-            }
+  async fetchProductPage({ afterId = null, limit = 100, staged = false } = {}) {
+    // Get product data from GraphQL - the page size adapts if this is too complex
+    const graphqlQuery = `
+      query GetProducts($limit: Int!, $where: String${buildPriceSelectionVariableDefinitions(this.priceSelection)}) {
+        catalog: products(limit: 1) {
+          total
+        }
+        products(limit: $limit, sort: ["id asc"], where: $where) {
+          results {
+            ...ProductFields
           }
         }
-      `;
+      }
+      ${this.getProductFieldsFragment(staged)}
+    `;
 
-             const products = [];
-       let offset = 0;
-       const limit = 100;
-
-      while (true) {
-        const result = await this.executeGraphQLQuery(graphqlQuery, { limit, offset });
-        const batch = result.products.results;
-        
-        if (batch.length === 0) break;
-        
-        // For each product in the batch, get availability data from REST API
-        const productsWithAvailability = await Promise.all(
-          batch.map(async (product) => {
-            try {
-              const restProductData = await this.getProductAvailability(product.id);
-              const mergedProduct = this.mergeProductData(product, restProductData);
-              return this.transformProductDataWithExpansion(mergedProduct);
-            } catch (error) {
-              console.error(`❌ Failed to get availability for product ${product.id}:`, error.message);
-              // Return product without availability data if REST API fails
-              return this.transformProductDataWithExpansion(product);
-            }
-          })
-        );
-        
-        products.push(...productsWithAvailability);
+    // JSON string quoting is also valid in commercetools predicates, so the cursor cannot change the query
+    const where = afterId ? `id > ${JSON.stringify(afterId)}` : null;
+    const result = await this.executeGraphQLQuery(graphqlQuery, { limit, where, ...this.getPriceSelectionVariables() });
+    const batch = result.products.results;
 
-        if (batch.length < limit) break;
-        offset += limit;
+    // Loaded before the page is transformed, so a cache reset by a concurrent fetch cannot unscope it
+    const storeChannels = await this.loadStoreChannels();
+
+    // Get availability data for the whole page from REST API
+    const availabilityById = await this.getProductsAvailability(batch.map(product => product.id), { staged });
+    // null marks products outside the store's product selections
+    const inStoreProducts = batch.filter(product => availabilityById.get(product.id) !== null);
+    const lookups = {
+      ...(await this.loadAttributeContext(inStoreProducts)),
+      categories: await this.loadCategories(this.getCategoryIds(inStoreProducts)),
+      channels: await this.loadChannelKeys(this.getSupplyChannelIds([...availabilityById.values()])),
+      storeChannels
+    };
+
+    const products = inStoreProducts.map(product => {
+      const restProductData = availabilityById.get(product.id);
+      // Return product without availability data if REST API fails
+      const mergedProduct = restProductData ? this.mergeProductData(product, restProductData) : product;
+      return this.transformProductDataWithExpansion(mergedProduct, lookups);
+    });
+
+    return {
+      products,
+      total: result.catalog.total,
+      lastId: batch.length > 0 ? batch[batch.length - 1].id : afterId,
+      hasMore: batch.length === limit
+    };
+  }
+
+  /**
+   * Iterates over all products page by page (GraphQL + REST availability)
+   * Only one page is held at a time, so memory stays bounded on large catalogs
+   * Pages rejected for query complexity are retried with a smaller limit
+   * @param {Object} options - Iteration options
+   * @param {string} [options.startAfterId] - Cursor to resume from; products up to and including this id are skipped
+   * @param {boolean} [options.staged] - Read masterData.staged instead of masterData.current
+   * @returns {AsyncGenerator<Object>} Pages with products, catalog total and cursor
+   */
+  async *iterateProductPages({ startAfterId = null, staged = false } = {}) {
+    // Store channels, product types, channel keys and category paths are looked up once per export
+    this.resetLookupCaches();
+
+    let afterId = startAfterId;
+    let limit = this.pageSize;
+    let successfulPages = 0;
+
+    while (true) {
+      let page;
+      try {
+        page = await this.fetchProductPage({ afterId, limit, staged });
+      } catch (error) {
+        if (!isQueryComplexityError(error) || limit <= MIN_PAGE_SIZE) {
+          throw error;
+        }
+
+        // Retry the same page with a smaller limit
+        limit = Math.max(MIN_PAGE_SIZE, Math.floor(limit / 2));
+        successfulPages = 0;
+        console.warn(`⚠️ Query complexity limit exceeded, retrying page with limit ${limit}`);
+        continue;
       }
 
-      return products;
+      if (page.products.length > 0) {
+        yield page;
+      }
 
-    } catch (error) {
-      throw error;
+      if (!page.hasMore) break;
+      afterId = page.lastId;
+
+      // Grow the page size again once smaller pages have gone through cleanly
+      successfulPages++;
+      if (limit < this.pageSize && successfulPages >= PAGE_SIZE_GROWTH_INTERVAL) {
+        limit = Math.min(this.pageSize, limit * 2);
+        successfulPages = 0;
+      }
     }
   }
 
+  /**
+   * Fetches all products with complete data (GraphQL + REST availability)
+   * Loads the whole catalog into memory - prefer iterateProductPages for full exports
+   * @param {Object} options - Fetch options
+   * @param {string} [options.startAfterId] - Cursor to resume from; products up to and including this id are skipped
+   * @param {boolean} [options.staged] - Read masterData.staged instead of masterData.current
+   * @returns {Promise<Array>} Array of products
+   */
+  async fetchAllProducts({ startAfterId = null, staged = false } = {}) {
+    const products = [];
+
+    for await (const page of this.iterateProductPages({ startAfterId, staged })) {
+      products.push(...page.products);
+    }
+
+    return products;
+  }
+
   /**
    * Fetches a single product with complete data (GraphQL + REST availability)
+   * @param {string} productId - Product ID
+   * @param {Object} [options] - Fetch options
+   * @param {boolean} [options.staged] - Read masterData.staged instead of masterData.current
    */
-  async fetchProductById(productId) {
+  async fetchProductById(productId, { staged = false } = {}) {
     try {
+      if (Date.now() - this.lookupCacheCreatedAt > LOOKUP_CACHE_TTL_MS) {
+        this.resetLookupCaches();
+      }
+      // Kept for the transform, so a cache reset by a concurrent fetch cannot unscope this product
+      const storeChannels = await this.loadStoreChannels();
+
+      // Get availability data from REST API first - a 404 from the store's projections
+      // means the product is outside the store, so no GraphQL query is needed
+      const restProductData = await this.getProductAvailability(productId, { staged });
+      if (restProductData === null) {
+        throw new ProductNotInStoreError(productId, this.storeKey);
+      }
+
       // Get product data from GraphQL (everything except availability)
       const graphqlQuery = `
-        query GetProduct($id: String!) {
+        query GetProduct($id: String!${buildPriceSelectionVariableDefinitions(this.priceSelection)}) {
           product(id: $id) {
-            id
-            key
-            version
-            createdAt
-            lastModifiedAt
-            productType {
-              name
-            }
-            masterData {
-              current {
-                name(locale: "en-US")
-                description(locale: "en-US")
-                categories {
-                  id
-                  name(acceptLanguage: ["en-US", "en"])
-                  slug(acceptLanguage: ["en-US", "en"])
-                }
-                masterVariant {
-                  id
-                  sku
-                  images {
-                    url
-                    dimensions {
-                      width
-                      height
-                    }
-                  }
-                  prices {
-                    id
-                    value {
-                      type
-                      currencyCode
-                      centAmount
-                    }
-                    discounted {
-                      value {
-                        type
-                        currencyCode
-                        centAmount
-                      }
-                    }
-                  }
-                  attributesRaw {
-                    name
-                    value
-                  }
-                }
-                variants {
-                  id
-                  sku
-                  images {
-                    url
-                    dimensions {
-                      width
-                      height
-                    }
-                  }
-                  prices {
-                    id
-                    value {
-                      type
-                      currencyCode
-                      centAmount
-                    }
-                    discounted {
-                      value {
-                        type
-                        currencyCode
-                        centAmount
-                      }
-                    }
-                  }
-                  attributesRaw {
-                    name
-                    value
-                  }
-                }
-              }
-            }
+            ...ProductFields
           }
         }
+        ${this.getProductFieldsFragment(staged)}
       `;
 
-      const graphqlResult = await this.executeGraphQLQuery(graphqlQuery, { id: productId });
+      const graphqlResult = await this.executeGraphQLQuery(graphqlQuery, {
+        id: productId,
+        ...this.getPriceSelectionVariables()
+      });
       if (!graphqlResult.product) {
         throw new Error(`Product ${productId} not found`);
       }
 
-      // Get availability data from REST API
-      const restProductData = await this.getProductAvailability(productId);
+      const lookups = {
+        ...(await this.loadAttributeContext([graphqlResult.product])),
+        categories: await this.loadCategories(this.getCategoryIds([graphqlResult.product])),
+        channels: await this.loadChannelKeys(this.getSupplyChannelIds([restProductData])),
+        storeChannels
+      };
 
       // Merge the data
       const mergedProduct = this.mergeProductData(graphqlResult.product, restProductData);
       
-      return this.transformProductDataWithExpansion(mergedProduct);
+      return this.transformProductDataWithExpansion(mergedProduct, lookups);
     } catch (error) {
       throw error;
     }
   }
 
   /**
-   * Merges GraphQL and REST data
+   * Merges REST availability (and the REST-selected price) into GraphQL data
+   * Variants are matched on variant id and SKU; variants that cannot be matched keep no
+   * REST data and are listed in the product's variantMismatches instead
    */
   mergeProductData(graphqlProduct, restProduct) {
-    const merged = { ...graphqlProduct };
-    
-    // Add availability data from REST API
-    if (restProduct.masterData?.current?.masterVariant) {
-      if (!merged.masterData.current.masterVariant) {
-        merged.masterData.current.masterVariant = {};
+    const graphqlData = graphqlProduct.masterData?.current || {};
+    const restData = restProduct.masterData?.current || {};
+    const graphqlVariants = [graphqlData.masterVariant, ...(graphqlData.variants || [])].filter(Boolean);
+    const restVariants = [restData.masterVariant, ...(restData.variants || [])].filter(Boolean);
+    const restVariantsById = new Map(restVariants.map(variant => [variant.id, variant]));
+    const variantMismatches = [];
+
+    const mergeVariant = (graphqlVariant) => {
+      const restVariant = restVariantsById.get(graphqlVariant.id);
+      if (!restVariant) {
+        variantMismatches.push(this.variantMismatch(graphqlProduct.id, graphqlVariant, 'missing-in-rest'));
+        return graphqlVariant;
+      }
+      if (graphqlVariant.sku && restVariant.sku && graphqlVariant.sku !== restVariant.sku) {
+        variantMismatches.push({
+          ...this.variantMismatch(graphqlProduct.id, graphqlVariant, 'sku-mismatch'),
+          restSku: restVariant.sku
+        });
+        return graphqlVariant;
       }
-      merged.masterData.current.masterVariant.availability = restProduct.masterData.current.masterVariant.availability;
+
+      return {
+        ...graphqlVariant,
+        availability: restVariant.availability,
+        // Price selected by product-projections (also covers standalone prices)
+        price: restVariant.price
+      };
+    };
+
+    const graphqlVariantIds = new Set(graphqlVariants.map(variant => variant.id));
+    restVariants
+      .filter(variant => !graphqlVariantIds.has(variant.id))
+      .forEach(variant => variantMismatches.push(this.variantMismatch(graphqlProduct.id, variant, 'missing-in-graphql')));
+
+    return {
+      ...graphqlProduct,
+      masterData: {
+        ...graphqlProduct.masterData,
+        current: {
+          ...graphqlData,
+          masterVariant: graphqlData.masterVariant ? mergeVariant(graphqlData.masterVariant) : graphqlData.masterVariant,
+          variants: (graphqlData.variants || []).map(mergeVariant)
+        }
+      },
+      variantMismatches
+    };
+  }
+
+  /**
+   * Describes a variant that could not be matched between GraphQL and REST
+   */
+  variantMismatch(productId, variant, reason) {
+    return { productId, variantId: variant.id, sku: variant.sku || null, reason };
+  }
+
+  /**
+   * Drops all looked-up reference data, so a long-running service picks up changes to it
+   */
+  resetLookupCaches() {
+    this.storeChannels = null;
+    // Product types by id, loaded on first use for attribute type information
+    this.productTypes = new Map();
+    // Supply channel keys by id, for the channel key to Vertex place table
+    this.channelKeys = new Map();
+    this.categoryCache = new Map();
+    this.lookupCacheCreatedAt = Date.now();
+  }
+
+  getCategoryIds(graphqlProducts) {
+    return graphqlProducts.flatMap(product => product.masterData?.current?.categories?.map(cat => cat.id) || []);
+  }
+
+  /**
+   * Looks up categories not in the cache, with their ancestors, and caches their localized paths
+   * Ancestors come with the response, so they are cached as well
+   * @returns {Promise<Map>} Category paths by ID for the requested categories that exist
+   */
+  async loadCategories(categoryIds) {
+    const cache = this.categoryCache;
+    const missingIds = [...new Set(categoryIds)].filter(id => !cache.has(id));
+
+    for (let i = 0; i < missingIds.length; i += ID_LOOKUP_CHUNK_SIZE) {
+      const chunk = missingIds.slice(i, i + ID_LOOKUP_CHUNK_SIZE);
+      const result = await this.executeGraphQLQuery(CATEGORIES_QUERY, {
+        where: `id in (${chunk.map(id => `"${id}"`).join(', ')})`,
+        limit: chunk.length
+      });
+
+      result.categories.results.forEach(category => {
+        const chain = [...(category.ancestors || []), category];
+        chain.forEach((entry, index) => {
+          if (!cache.has(entry.id)) {
+            cache.set(entry.id, this.buildCategoryPath(chain.slice(0, index + 1)));
+          }
+        });
+      });
     }
 
-    if (restProduct.masterData?.current?.variants) {
-      if (!merged.masterData.current.variants) {
-        merged.masterData.current.variants = [];
+    // Returned separately so a concurrent cache reset cannot drop them before they are used
+    return new Map(categoryIds.filter(id => cache.has(id)).map(id => [id, cache.get(id)]));
+  }
+
+  /**
+   * Builds the localized name and "A > B > C" path of the last category in a root-first chain
+   */
+  buildCategoryPath(chain) {
+    const levels = chain.map(category => {
+      const localizedName = this.localizeAll(category.nameAllLocales);
+      const localizedSlug = this.localizeAll(category.slugAllLocales);
+      // Fallback to slug, then ID if no name is available; '>' would split the level
+      const levelName = locale => (localizedName[locale] || localizedSlug[locale] || category.id).replace(/>/g, '-');
+      return { localizedName, localizedSlug, levelName };
+    });
+
+    const localizedPath = {};
+    this.localeConfig.locales.forEach(locale => {
+      localizedPath[locale] = levels.map(level => level.levelName(locale)).join(CATEGORY_PATH_SEPARATOR);
+    });
+
+    const leaf = chain[chain.length - 1];
+    const leafLevel = levels[levels.length - 1];
+    const defaultLocale = this.localeConfig.defaultLocale;
+    return {
+      id: leaf.id,
+      name: leafLevel.localizedName[defaultLocale] || leafLevel.levelName(defaultLocale),
+      localizedName: leafLevel.localizedName,
+      localizedSlug: leafLevel.localizedSlug,
+      path: localizedPath[defaultLocale],
+      localizedPath
+    };
+  }
+
+  /**
+   * Collects the supply channel ids in the availability of REST products (null entries are skipped)
+   */
+  getSupplyChannelIds(restProducts) {
+    const channelIds = new Set();
+    restProducts.filter(Boolean).forEach(product => {
+      const data = product.masterData?.current;
+      [data?.masterVariant, ...(data?.variants || [])].forEach(variant => {
+        Object.keys(variant?.availability?.channels || {}).forEach(channelId => channelIds.add(channelId));
+      });
+    });
+    return [...channelIds];
+  }
+
+  /**
+   * Looks up the keys of supply channels, e.g. for the channel key to Vertex place table
+   * Keys are cached until resetLookupCaches; channels that fail to load stay without key
+   * @returns {Promise<Map>} Channel key by channel id
+   */
+  async loadChannelKeys(channelIds) {
+    const missingIds = channelIds.filter(id => !this.channelKeys.has(id));
+
+    for (let i = 0; i < missingIds.length; i += ID_LOOKUP_CHUNK_SIZE) {
+      const chunk = missingIds.slice(i, i + ID_LOOKUP_CHUNK_SIZE);
+      try {
+        const where = `id in (${chunk.map(id => `"${id}"`).join(', ')})`;
+        const response = await this.executeRestGet(`/channels?where=${encodeURIComponent(where)}&limit=${chunk.length}`);
+        response.results.forEach(channel => this.channelKeys.set(channel.id, channel.key));
+      } catch (error) {
+        console.error('❌ Failed to look up supply channel keys:', error.message);
       }
-      
-      restProduct.masterData.current.variants.forEach((restVariant, index) => {
-        if (merged.masterData.current.variants[index]) {
-          merged.masterData.current.variants[index].availability = restVariant.availability;
-        }
+    }
+
+    return this.channelKeys;
+  }
+
+  /**
+   * Loads what typed attribute conversion needs for a set of GraphQL products:
+   * the product type definitions and display values of referenced resources
+   * @returns {Promise<Object>} { productTypes, referenceDisplays }
+   */
+  async loadAttributeContext(graphqlProducts) {
+    await this.loadProductTypes(graphqlProducts.map(product => product.productType?.id));
+
+    const referenceIds = new Map();
+    graphqlProducts.forEach(product => {
+      const data = product.masterData?.current;
+      [data?.masterVariant, ...(data?.variants || [])].forEach(variant => {
+        variant?.attributesRaw?.forEach(attr => {
+          [].concat(attr.value)
+            .filter(value => value && typeof value === 'object' && value.typeId && value.id)
+            .forEach(reference => {
+              if (!referenceIds.has(reference.typeId)) referenceIds.set(reference.typeId, new Set());
+              referenceIds.get(reference.typeId).add(reference.id);
+            });
+        });
       });
+    });
+
+    const referenceDisplays = new Map();
+    for (const [typeId, ids] of referenceIds) {
+      await this.loadReferenceDisplays(typeId, [...ids], referenceDisplays);
     }
 
-    return merged;
+    return { productTypes: this.productTypes, referenceDisplays };
+  }
+
+  /**
+   * Loads product types not seen before; attribute types are inferred from values if this fails
+   */
+  async loadProductTypes(productTypeIds) {
+    const missingIds = [...new Set(productTypeIds)].filter(id => id && !this.productTypes.has(id));
+    if (missingIds.length === 0) return;
+
+    try {
+      const where = `id in (${missingIds.map(id => `"${id}"`).join(', ')})`;
+      const response = await this.executeRestGet(
+        `/product-types?where=${encodeURIComponent(where)}&limit=${missingIds.length}`
+      );
+      response.results.forEach(productType => this.productTypes.set(productType.id, productType));
+    } catch (error) {
+      console.error('❌ Failed to load product types, inferring attribute types from values:', error.message);
+    }
+  }
+
+  /**
+   * Looks up display values (name, else key) of referenced resources of one type
+   * Unsupported or failed lookups leave the references without display value, so the id is exported
+   */
+  async loadReferenceDisplays(typeId, ids, referenceDisplays) {
+    const endpoint = REFERENCE_ENDPOINTS[typeId];
+    if (!endpoint) return;
+
+    for (let i = 0; i < ids.length; i += ID_LOOKUP_CHUNK_SIZE) {
+      const chunk = ids.slice(i, i + ID_LOOKUP_CHUNK_SIZE);
+      try {
+        const where = `id in (${chunk.map(id => `"${id}"`).join(', ')})`;
+        const response = await this.executeRestGet(`${endpoint}?where=${encodeURIComponent(where)}&limit=${chunk.length}`);
+        response.results.forEach(resource => {
+          const display = typeof resource.name === 'object' && resource.name !== null
+            ? this.localizeMap(resource.name)
+            : resource.name || resource.key;
+          if (display) {
+            referenceDisplays.set(`${typeId}:${resource.id}`, display);
+          }
+        });
+      } catch (error) {
+        console.error(`❌ Failed to look up ${typeId} references:`, error.message);
+      }
+    }
   }
 
   /**
    * Transforms GraphQL product data with expanded references to match expected format
+   * @param {Object} product - Merged GraphQL product
+   * @param {Object} [lookups] - loadAttributeContext result plus `categories` from loadCategories,
+   *   `channels` from loadChannelKeys and `storeChannels` from loadStoreChannels;
+   *   without it attribute types are inferred and categories are left out
    */
-  transformProductDataWithExpansion(product) {
+  transformProductDataWithExpansion(product, lookups = {}) {
     const masterData = product.masterData?.current;
     
     if (!masterData) {
       throw new Error('Product has no master data');
     }
 
-    // Transform categories using expanded data (names are already available)
-    const categories = masterData.categories?.map(cat => {
-      // Use the expanded category name directly
-      if (cat.name) {
-        return cat.name;
-      } else if (cat.slug) {
-        return cat.slug;
-      } else {
-        // Fallback to ID if no name or slug is available
-        return cat.id;
-      }
-    }) || [];
+    // Categories with their hierarchy paths (deleted categories are skipped)
+    const categories = masterData.categories
+      ?.map(cat => lookups.categories?.get(cat.id))
+      .filter(Boolean) || [];
+
+    const localizedName = this.localizeAll(masterData.nameAllLocales);
+    const localizedDescription = this.localizeAll(masterData.descriptionAllLocales);
+
+    const productTypeDefinition = lookups.productTypes?.get(product.productType?.id);
+    const attributeDefinitions = new Map((productTypeDefinition?.attributes || []).map(attr => [attr.name, attr]));
+    const referenceDisplays = lookups.referenceDisplays || new Map();
     
          // Transform the product to match the expected format
      return {
        id: product.id,
        key: product.key,
        version: product.version,
-       createdAt: new Date().toISOString(), // Default value since not fetched
-       lastModifiedAt: new Date().toISOString(), // Default value since not fetched
+       createdAt: product.createdAt || new Date().toISOString(),
+       lastModifiedAt: product.lastModifiedAt || new Date().toISOString(),
        productType: product.productType?.name,
+       reviewRatingStatistics: product.reviewRatingStatistics || null,
+       variantMismatches: product.variantMismatches || [],
        masterData: {
          current: {
-           name: masterData.name,
-           description: masterData.description,
-           categories: categories.map(name => ({ name })),
-           masterVariant: this.transformVariant(masterData.masterVariant),
-           variants: masterData.variants?.map(variant => this.transformVariant(variant)) || []
+           name: localizedName[this.localeConfig.defaultLocale],
+           description: localizedDescription[this.localeConfig.defaultLocale],
+           localizedName,
+           localizedDescription,
+           localizedSlug: this.localizeAll(masterData.slugAllLocales),
+           categories,
+           masterVariant: this.transformVariant(masterData.masterVariant, attributeDefinitions, referenceDisplays, lookups.channels, lookups.storeChannels),
+           variants: masterData.variants?.map(variant => this.transformVariant(variant, attributeDefinitions, referenceDisplays, lookups.channels, lookups.storeChannels)) || []
          }
        }
      };
   }
 
+  /**
+   * Resolves commercetools localized values for every configured locale, applying fallbacks
+   * @param {Array} values - [{ locale, value }] as returned by *AllLocales fields
+   * @returns {Object} Map of configured locale to value
+   */
+  localizeAll(values) {
+    const localized = {};
+    this.localeConfig.locales.forEach(locale => {
+      const value = resolveLocalized(values, locale, this.localeConfig);
+      if (value !== undefined) {
+        localized[locale] = value;
+      }
+    });
+    return localized;
+  }
+
+  /**
+   * Resolves a REST-style localized string ({ en: '...' }) for every configured locale
+   */
+  localizeMap(localizedString) {
+    return this.localizeAll(Object.entries(localizedString || {}).map(([locale, value]) => ({ locale, value })));
+  }
+
   /**
    * Transforms variant data
+   * @param {Object} variant - GraphQL variant
+   * @param {Map} [attributeDefinitions] - Attribute definitions from the product type, by attribute name
+   * @param {Map} [referenceDisplays] - Display values of referenced resources, by "typeId:id"
+   * @param {Map} [channelKeys] - Supply channel keys by channel id
+   * @param {Object|null} [storeChannels] - loadStoreChannels result; null exports all channels
    */
-  transformVariant(variant) {
+  transformVariant(variant, attributeDefinitions = new Map(), referenceDisplays = new Map(), channelKeys = new Map(), storeChannels = null) {
     if (!variant) return null;
 
          return {
@@ -503,29 +945,157 @@ class HybridService {
            h: img.dimensions?.height
          }
        })) || [],
-       prices: variant.prices?.map(price => ({
-         id: `price-${variant.id}-${Math.random()}`, // Generate ID since not fetched
-         value: {
-           type: 'centPrecision', // Default type since not fetched
-           currencyCode: price.value.currencyCode,
-           centAmount: price.value.centAmount
-         },
-         discounted: price.discounted ? {
-           value: {
-             type: 'centPrecision', // Default type since not fetched
-             currencyCode: price.discounted.value.currencyCode,
-             centAmount: price.discounted.value.centAmount
-           }
-         } : null
-       })) || [],
-       availability: variant.availability,
-       attributes: variant.attributesRaw?.map(attr => ({
-         name: attr.name,
-         value: attr.value
-       })) || []
+       prices: this.scopePricesToStore(variant.prices, storeChannels)?.map(price => this.transformPrice(price)) || [],
+       // Only present with price selection; null means commercetools selected no price
+       ...(this.priceSelection ? {
+         selectedPrice: this.transformPrice(variant.selectedPrice || variant.price)
+       } : {}),
+       availability: this.addChannelKeys(this.scopeAvailabilityToStore(variant.availability, storeChannels), channelKeys),
+       attributes: variant.attributesRaw?.map(attr =>
+         this.normalizeAttribute(attr, attributeDefinitions.get(attr.name), referenceDisplays)
+       ) || []
      };
   }
 
+  /**
+   * Normalizes an attribute for the attribute converter: localized values become maps of
+   * configured locale to value and references get their display value
+   * isSearchable and constraint come from the product type and drive the Vertex attribute settings
+   * @returns {Object} { name, type, value, isSearchable, constraint }
+   */
+  normalizeAttribute(attr, definition, referenceDisplays) {
+    const type = definition ? this.describeAttributeType(definition.type) : inferAttributeType(attr.value);
+    return {
+      name: attr.name,
+      type,
+      value: this.normalizeAttributeValue(attr.value, type, referenceDisplays),
+      isSearchable: definition?.isSearchable,
+      constraint: definition?.attributeConstraint
+    };
+  }
+
+  /**
+   * Keeps the parts of a product type attribute type the converter needs (drops enum value lists)
+   */
+  describeAttributeType(type) {
+    return {
+      name: type.name,
+      ...(type.elementType ? { elementType: this.describeAttributeType(type.elementType) } : {}),
+      ...(type.referenceTypeId ? { referenceTypeId: type.referenceTypeId } : {})
+    };
+  }
+
+  normalizeAttributeValue(value, type, referenceDisplays) {
+    if (value === null || value === undefined) return value;
+
+    switch (type.name) {
+      case 'set':
+        return (Array.isArray(value) ? value : [value])
+          .map(element => this.normalizeAttributeValue(element, type.elementType || inferAttributeType(element), referenceDisplays));
+      case 'ltext':
+        return typeof value === 'object' ? this.localizeMap(value) : value;
+      case 'lenum':
+        return { key: value.key, label: this.localizeMap(value.label) };
+      case 'reference':
+        return {
+          typeId: value.typeId,
+          id: value.id,
+          display: referenceDisplays.get(`${value.typeId}:${value.id}`) || null
+        };
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Transforms a GraphQL or REST price
+   */
+  transformPrice(price) {
+    if (!price) return null;
+
+    // GraphQL returns the customer group as customerGroupRef, REST as customerGroup
+    const customerGroup = price.customerGroupRef || price.customerGroup;
+    return {
+      id: price.id,
+      channel: price.channel ? { id: price.channel.id, key: price.channel.key } : null,
+      value: {
+        type: price.value.type || 'centPrecision',
+        currencyCode: price.value.currencyCode,
+        centAmount: price.value.centAmount
+      },
+      discounted: price.discounted ? {
+        value: {
+          type: price.discounted.value.type || 'centPrecision',
+          currencyCode: price.discounted.value.currencyCode,
+          centAmount: price.discounted.value.centAmount
+        }
+      } : null,
+      country: price.country || null,
+      customerGroup: customerGroup ? { id: customerGroup.id } : null,
+      validFrom: price.validFrom || null,
+      validUntil: price.validUntil || null
+    };
+  }
+
+  /**
+   * Keeps only prices from the store's distribution channels, falling back to channel-less prices
+   * Returns prices unchanged without store channels (store scoping disabled)
+   */
+  scopePricesToStore(prices, storeChannels) {
+    if (!prices || !storeChannels || storeChannels.distributionChannelIds.size === 0) {
+      return prices;
+    }
+
+    const storePrices = prices.filter(price => price.channel && storeChannels.distributionChannelIds.has(price.channel.id));
+    return storePrices.length > 0 ? storePrices : prices.filter(price => !price.channel);
+  }
+
+  /**
+   * Rebuilds variant availability from the store's supply channels only
+   * Returns availability unchanged without store channels (store scoping disabled)
+   */
+  scopeAvailabilityToStore(availability, storeChannels) {
+    if (!availability || !storeChannels || storeChannels.supplyChannelIds.size === 0) {
+      return availability;
+    }
+
+    const channels = Object.fromEntries(
+      Object.entries(availability.channels || {})
+        .filter(([channelId]) => storeChannels.supplyChannelIds.has(channelId))
+    );
+    const channelAvailabilities = Object.values(channels);
+    const restockableInDays = channelAvailabilities
+      .map(channel => channel.restockableInDays)
+      .filter(days => typeof days === 'number');
+
+    return {
+      isOnStock: channelAvailabilities.some(channel => channel.isOnStock),
+      availableQuantity: channelAvailabilities.reduce((sum, channel) => sum + (channel.availableQuantity || 0), 0),
+      // Soonest restock of the store's channels, used for BACKORDER
+      ...(restockableInDays.length > 0 ? { restockableInDays: Math.min(...restockableInDays) } : {}),
+      channels
+    };
+  }
+
+  /**
+   * Adds the channel key to each per-channel availability, e.g. { isOnStock, availableQuantity, key }
+   */
+  addChannelKeys(availability, channelKeys) {
+    if (!availability?.channels) {
+      return availability;
+    }
+
+    return {
+      ...availability,
+      channels: Object.fromEntries(
+        Object.entries(availability.channels).map(([channelId, channel]) => [
+          channelId,
+          { ...channel, key: channelKeys.get(channelId) || null }
+        ])
+      )
+    };
+  }
+
   /**
    * Gets product counts using GraphQL
    */
@@ -584,4 +1154,4 @@ class HybridService {
   }
 }
 
-module.exports = { HybridService };
+module.exports = { HybridService, ProductNotInStoreError };
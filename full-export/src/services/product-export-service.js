@@ -13,76 +13,120 @@ class ProductExportService {
 
   /**
    * Performs a full synchronization of all products from commercetools to Vertex AI
+   * Streams the catalog page by page: each page is imported while the next one is fetched
+   * @param {Object} options - Sync options
+   * @param {string} [options.startAfterId] - Product id cursor to resume an interrupted sync from
+   * @param {boolean} [options.staged] - Export staged product data to the preview branch instead of the live one
    * @returns {Object} Sync result with counts and timing information
    */
-  async performFullSync() {
+  async performFullSync({ startAfterId = null, staged = false } = {}) {
+    console.log(`🚀 Starting full product synchronization${staged ? ' of staged data' : ''}...`);
+
+    const startTime = Date.now();
+    let totalProducts = 0;
+    let processedCount = 0;
+    let errorCount = 0;
+    let cursor = startAfterId;
+    const errors = [];
+    const variantMismatches = [];
+
     try {
-      console.log('🚀 Starting full product synchronization...');
-      
-      const startTime = Date.now();
-      let processedCount = 0;
-      let errorCount = 0;
-      const errors = [];
-
-      // Fetch all products from commercetools
-      const products = await this.fetchAllProducts();
-      console.log(`📦 Found ${products.length} products to sync`);
-
-      // Process products in batches to avoid overwhelming the APIs
-      const batchSize = 50;
-      const batches = this.chunkArray(products, batchSize);
-
-      for (let i = 0; i < batches.length; i++) {
-        const batch = batches[i];
-
-        try {
-          const batchResult = await this.vertexService.batchUpsertProducts(batch);
-          processedCount += batch.length;
-        } catch (error) {
-          console.error(`❌ Error processing batch ${i + 1}:`, error.message);
-          errorCount += batch.length;
-          errors.push({
-            batchIndex: i,
-            error: error.message,
-            products: batch.map(p => p.id)
-          });
+      // Fail before fetching anything when no preview branch is configured
+      this.vertexService.getTargets(staged);
+
+      const pages = this.hybridService.iterateProductPages({ startAfterId, staged });
+      let nextPage = this.prefetch(pages);
+
+      while (true) {
+        const { value: page, done } = await nextPage;
+        if (done) break;
+
+        // Start fetching the following page while this one is imported
+        nextPage = this.prefetch(pages);
+
+        totalProducts += page.products.length;
+        console.log(`📥 Full Sync: Fetched ${totalProducts}/${page.total} products from commercetools`);
+
+        // Variants whose REST availability could not be matched are exported without it
+        page.products.forEach(product => variantMismatches.push(...product.variantMismatches));
+
+        // Process products in batches to avoid overwhelming the APIs
+        const batchSize = 50;
+        const batches = this.chunkArray(page.products, batchSize);
+
+        for (let i = 0; i < batches.length; i++) {
+          const batch = batches[i];
+
+          try {
+            await this.vertexService.batchUpsertProducts(batch, { staged });
+            processedCount += batch.length;
+          } catch (error) {
+            console.error(`❌ Error processing batch after cursor ${cursor}:`, error.message);
+            errorCount += batch.length;
+            errors.push({
+              cursor,
+              error: error.message,
+              products: batch.map(p => p.id)
+            });
+          }
+
+          // Add delay between batches to be respectful to the APIs
+          if (i < batches.length - 1) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+          }
         }
 
-        // Add delay between batches to be respectful to the APIs
-        if (i < batches.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
+        cursor = page.lastId;
       }
-
-      const endTime = Date.now();
-      const duration = endTime - startTime;
-
-      const result = {
-        success: true,
-        totalProducts: products.length,
-        processedCount,
-        errorCount,
-        duration: `${duration}ms`,
-        errors: errors.length > 0 ? errors : undefined
-      };
-
-      console.log(`✅ Full Sync: Completed in ${duration}ms - ${processedCount} products processed, ${errorCount} errors`);
-      return result;
-
     } catch (error) {
-      console.error('❌ Full sync failed:', error);
+      console.error(`❌ Full sync failed - resume with startAfterId=${cursor}:`, error);
       throw error;
     }
+
+    const endTime = Date.now();
+    const duration = endTime - startTime;
+
+    const result = {
+      success: true,
+      totalProducts,
+      processedCount,
+      errorCount,
+      staged,
+      lastId: cursor,
+      duration: `${duration}ms`,
+      errors: errors.length > 0 ? errors : undefined,
+      variantMismatches: variantMismatches.length > 0 ? variantMismatches : undefined
+    };
+
+    if (variantMismatches.length > 0) {
+      console.warn(`⚠️ Full Sync: ${variantMismatches.length} variants could not be matched between GraphQL and REST`);
+    }
+    console.log(`✅ Full Sync: Completed in ${duration}ms - ${processedCount} products processed, ${errorCount} errors`);
+    return result;
+  }
+
+  /**
+   * Requests the next page from an async iterator without awaiting it yet
+   * @param {AsyncIterator} pages - Page iterator
+   * @returns {Promise<IteratorResult>} Pending next page
+   */
+  prefetch(pages) {
+    const nextPage = pages.next();
+    // The rejection is handled when the page is awaited; avoid an unhandled rejection meanwhile
+    nextPage.catch(() => {});
+    return nextPage;
   }
 
   /**
    * Fetches all products from commercetools using Hybrid Service (GraphQL + REST)
+   * @param {Object} options - Fetch options
+   * @param {string} [options.startAfterId] - Product id cursor to resume from
    * @returns {Array} Array of all products with names instead of IDs and real availability data
    */
-  async fetchAllProducts() {
+  async fetchAllProducts({ startAfterId = null } = {}) {
     try {
       // Use Hybrid service to fetch products with names instead of IDs and real availability data
-      const products = await this.hybridService.fetchAllProducts();
+      const products = await this.hybridService.fetchAllProducts({ startAfterId });
       
       console.log(`📥 Full Sync: Fetched ${products.length} products from commercetools`);
       return products;
@@ -150,7 +194,8 @@ class ProductExportService {
         return await this.vertexService.deleteProduct(productId);
       } else {
         const product = await this.fetchProductById(productId);
-        return await this.vertexService.upsertProduct(product);
+        const result = await this.vertexService.upsertProduct(product);
+        return { ...result, variantMismatches: product.variantMismatches };
       }
     } catch (error) {
       console.error(`❌ Failed to sync product ${productId}:`, error);
@@ -1,4 +1,21 @@
 const { GoogleAuth } = require('google-auth-library');
+const { getLocaleConfig, getLocaleTargets } = require('../config/locales');
+const { getAttributeSettingsOverrides } = require('../config/attribute-settings');
+const { getProductUriTemplate } = require('../config/product-uri');
+const { getFieldMapping } = require('../config/field-mapping');
+const { getLocalInventoryConfig } = require('../config/local-inventory');
+const { getStockConfig } = require('../config/stock');
+const { getPriceInfoConfig } = require('../config/price-info');
+const { ProductMapper } = require('../mappers/product-mapper');
+const { mapWithConcurrency } = require('./concurrency');
+
+const VARIANT_MODES = ['primary', 'variants'];
+
+// Vertex AI accepts at most 100 products per inline import
+const MAX_INLINE_IMPORT_PRODUCTS = 100;
+
+// Per-product Vertex calls (variant cleanup, local inventories) that run at the same time
+const VERTEX_CONCURRENCY = 5;
 
 /**
  * VertexService - Handles communication with Google Cloud Vertex AI Retail API
@@ -73,6 +90,65 @@ class VertexService {
       this.catalogId = 'default_catalog';
       this.branchId = '0';
     }
+
+    // Outside the try block on purpose: invalid locale settings must fail at startup
+    this.localeConfig = getLocaleConfig();
+    this.localeTargets = getLocaleTargets(this.localeConfig, { catalogId: this.catalogId, branchId: this.branchId });
+
+    // Staged (unpublished) product data goes to a separate preview branch when one is configured
+    this.stagedBranchId = this.config.STAGED_BRANCH_ID || null;
+    this.stagedTargets = this.stagedBranchId ? this.getStagedTargets() : null;
+
+    // primary: one Vertex product per commercetools product (built from the master variant)
+    // variants: additionally one VARIANT product per commercetools variant
+    this.variantMode = this.config.VARIANT_MODE || 'primary';
+    if (!VARIANT_MODES.includes(this.variantMode)) {
+      throw new Error(`Invalid VERTEX_VARIANT_MODE "${this.variantMode}", expected one of ${VARIANT_MODES.join(', ')}`);
+    }
+
+    // Shared with the other app, so both write identical Vertex products
+    this.productMapper = new ProductMapper({
+      localeConfig: this.localeConfig,
+      productUriTemplate: getProductUriTemplate(),
+      attributeSettingsOverrides: getAttributeSettingsOverrides(),
+      variantMode: this.variantMode,
+      fieldMapping: getFieldMapping(),
+      localInventory: getLocalInventoryConfig(),
+      stock: getStockConfig(),
+      priceInfo: getPriceInfoConfig()
+    });
+  }
+
+  /**
+   * Builds the locale targets for the staged branch
+   * In branches locale mode every locale already has its own branch, so there is no room for a preview branch
+   */
+  getStagedTargets() {
+    if (this.localeConfig.mode === 'branches') {
+      throw new Error('VERTEX_STAGED_BRANCH_ID cannot be combined with VERTEX_LOCALE_MODE=branches');
+    }
+    if (this.stagedBranchId === this.branchId) {
+      throw new Error(`VERTEX_STAGED_BRANCH_ID must differ from the live branch ${this.branchId}`);
+    }
+
+    return this.localeTargets.map(target => ({ ...target, branchId: this.stagedBranchId }));
+  }
+
+  isStagedModeEnabled() {
+    return this.stagedTargets !== null;
+  }
+
+  /**
+   * Gets the locale targets of the live or the staged branch
+   */
+  getTargets(staged = false) {
+    if (!staged) {
+      return this.localeTargets;
+    }
+    if (!this.stagedTargets) {
+      throw new Error('Staged sync requested but VERTEX_STAGED_BRANCH_ID is not configured');
+    }
+    return this.stagedTargets;
   }
 
   async getAccessToken() {
@@ -89,10 +165,10 @@ class VertexService {
     }
   }
 
-  async makeVertexRequest(endpoint, method = 'GET', body = null) {
+  async makeVertexRequest(endpoint, method = 'GET', body = null, target = this.localeTargets[0]) {
     try {
       const accessToken = await this.getAccessToken();
-      const url = `https://retail.googleapis.com/v2/projects/${this.projectId}/locations/${this.location}/catalogs/${this.catalogId}/branches/${this.branchId}${endpoint}`;
+      const url = `https://retail.googleapis.com/v2/projects/${this.projectId}/locations/${this.location}/catalogs/${target.catalogId}/branches/${target.branchId}${endpoint}`;
       
       const options = {
         method,
@@ -120,237 +196,30 @@ class VertexService {
     }
   }
 
-  transformToRetailProduct(commercetoolsProduct) {
-    // Extract product name from GraphQL format (already localized)
-    const productName = commercetoolsProduct.masterData?.current?.name || 
-                       commercetoolsProduct.title || 
-                       commercetoolsProduct.name || 
-                       'No name';
-
-    // Extract description from GraphQL format (already localized)
-    const productDescription = commercetoolsProduct.masterData?.current?.description || '';
-
-    // Get the master variant for SKU and other details (GraphQL format)
-    const variant = commercetoolsProduct.masterData?.current?.masterVariant || 
-                   commercetoolsProduct.masterData?.current?.variants?.[0];
-    const sku = variant?.sku || commercetoolsProduct.id || 'NO-SKU';
-
-    // Extract pricing information with proper discount handling
-    const pricingInfo = this.extractPricingFromCommercetools(variant);
-    
-    // Extract availability information from the entire product
-    const availabilityInfo = this.extractAvailabilityFromCommercetools(commercetoolsProduct);
-
-    // Transform to Vertex AI Retail API format
-    const product = {
-      id: commercetoolsProduct.id,
-      title: productName,
-      description: productDescription,
-      categories: commercetoolsProduct.masterData?.current?.categories?.map(cat => cat.name) || [],
-      availableQuantity: availabilityInfo.availableQuantity,
-      availability: availabilityInfo.availableQuantity > 0 ? 'IN_STOCK' : 'OUT_OF_STOCK',
-      uri: this.buildProductUri(commercetoolsProduct),
-      images: variant?.images?.map(img => ({
-        uri: img.url,
-        height: img.dimensions?.h || 0,
-        width: img.dimensions?.w || 0
-      })) || []
-    };
-
-
-
-    // Add priceInfo only if pricing information exists
-    if (pricingInfo) {
-      product.priceInfo = {
-        currencyCode: pricingInfo.currencyCode,
-        price: pricingInfo.price,
-        originalPrice: pricingInfo.originalPrice || pricingInfo.price
-      };
-    }
-
-    // Add custom attributes in the correct format
-    const customAttributes = {};
-    if (variant?.attributes) {
-      variant.attributes.forEach(attr => {
-        if (attr.value) {
-          customAttributes[attr.name] = {
-            text: [attr.value.toString()]
-          };
-        }
-      });
-    }
-
-    // Add SKU as a custom attribute (always include it)
-    customAttributes['sku'] = {
-      text: [sku]
-    };
-
-    // Add product type as a custom attribute (using name instead of ID)
-    if (commercetoolsProduct.productType) {
-      customAttributes['product_type'] = {
-        text: [commercetoolsProduct.productType]
-      };
-    }
-
-    // Add CTP region information
-    customAttributes['ctp_region'] = {
-      text: [process.env.CTP_REGION || 'unknown']
-    };
-
-    // Always add attributes to the product
-    product.attributes = customAttributes;
-
-    return product;
-  }
-
   /**
-   * Extract pricing information from commercetools variant
+   * Builds the Vertex products for a commercetools product (see ProductMapper)
    */
-  extractPricingFromCommercetools(variant) {
-    if (!variant?.prices || variant.prices.length === 0) {
-      return null;
-    }
-
-    const price = variant.prices[0];
-    const basePrice = price.value?.centAmount ? price.value.centAmount / 100 : 0;
-    const currencyCode = price.value?.currencyCode || 'USD';
-
-    // Check for discounted price
-    if (price.discounted && price.discounted.value?.centAmount) {
-      const salePrice = price.discounted.value.centAmount / 100;
-      
-      return {
-        price: salePrice,
-        originalPrice: basePrice,
-        currencyCode: currencyCode
-      };
-    } else {
-      return {
-        price: basePrice,
-        currencyCode: currencyCode
-      };
-    }
+  transformToRetailProducts(productData, locale = this.localeConfig.defaultLocale) {
+    return this.productMapper.toVertexProducts(productData, locale);
   }
 
   /**
-   * Extract availability information from commercetools product (masterVariant + variants)
+   * Builds the PRIMARY Vertex product (see ProductMapper)
    */
-  extractAvailabilityFromCommercetools(productData) {
-    // First check masterVariant availability (highest priority)
-    const masterVariant = productData.masterData?.current?.masterVariant;
-    if (masterVariant) {
-      // Check direct availability data from commercetools (REST API format)
-      if (masterVariant.availability?.availableQuantity !== undefined) {
-        const stockValue = masterVariant.availability.availableQuantity || 0;
-        return {
-          availableQuantity: stockValue,
-          isAvailable: stockValue > 0
-        };
-      }
-      
-      // Check custom attributes for stock information
-      if (masterVariant.attributes) {
-        const stockAttr = masterVariant.attributes.find(attr => 
-          attr.name === 'stock' || 
-          attr.name === 'quantity' || 
-          attr.name === 'availableQuantity' ||
-          attr.name === 'inventory' ||
-          attr.name === 'stockLevel' ||
-          attr.name === 'qty' ||
-          attr.name === 'qtyAvailable'
-        );
-        
-        if (stockAttr && stockAttr.value) {
-          const stockValue = parseInt(stockAttr.value) || 0;
-          return {
-            availableQuantity: stockValue,
-            isAvailable: stockValue > 0
-          };
-        }
-      }
-    }
-
-    // Then check all variants for availability
-    const variants = productData.masterData?.current?.variants || [];
-    for (const variant of variants) {
-      // Check direct availability data from commercetools (REST API format)
-      if (variant.availability?.availableQuantity !== undefined) {
-        const stockValue = variant.availability.availableQuantity || 0;
-        return {
-          availableQuantity: stockValue,
-          isAvailable: stockValue > 0
-        };
-      }
-      
-      // Check custom attributes for stock information
-      if (variant.attributes) {
-        const stockAttr = variant.attributes.find(attr => 
-          attr.name === 'stock' || 
-          attr.name === 'quantity' || 
-          attr.name === 'availableQuantity' ||
-          attr.name === 'inventory' ||
-          attr.name === 'stockLevel' ||
-          attr.name === 'qty' ||
-          attr.name === 'qtyAvailable'
-        );
-        
-        if (stockAttr && stockAttr.value) {
-          const stockValue = parseInt(stockAttr.value) || 0;
-          return {
-            availableQuantity: stockValue,
-            isAvailable: stockValue > 0
-          };
-        }
-      }
-    }
-
-    // Default to 0 quantity if no stock information found
-    return { availableQuantity: 0, isAvailable: false };
+  transformToRetailProduct(productData, locale = this.localeConfig.defaultLocale) {
+    return this.productMapper.toVertexProduct(productData, locale);
   }
 
-
-
-  /**
-   * Build product URI based on product data
-   */
-  buildProductUri(commercetoolsProduct) {
-    // Use environment variable for base URL if available
-    const baseUrl = process.env.PRODUCT_BASE_URL || 'https://your-store.com';
-    
-    // Get the SKU from the master variant
-    const variant = commercetoolsProduct.masterData?.current?.masterVariant || 
-                   commercetoolsProduct.masterData?.current?.variants?.[0];
-    const sku = variant?.sku || commercetoolsProduct.key || commercetoolsProduct.id;
-    
-    return `${baseUrl}/products/${sku}`;
-  }
-
-  async importProduct(productData) {
+  async importProduct(productData, target = this.localeTargets[0]) {
     try {
-      const retailProduct = this.transformToRetailProduct(productData);
-      
-      // Use the same format as batch import for single product
-      const importRequest = {
-        inputConfig: {
-          productInlineSource: {
-            products: [retailProduct]
-          }
-        },
-        reconciliationMode: 'INCREMENTAL'
-      };
-      
-      const operation = await this.makeVertexRequest('/products:import', 'POST', importRequest);
-      
-      // Poll the operation to check for completion and errors
-      const operationResult = await this.pollOperation(operation.name);
-      
-      if (!operationResult.success) {
-        throw new Error(`Import operation failed: ${operationResult.error}`);
-      }
+      // Same import as the batch path for a single product (plus its variants in variants mode)
+      const operations = await this.importRetailProducts(this.transformToRetailProducts(productData, target.locale), target);
+
+      await this.syncLocalInventories([productData], target);
       
       return {
         success: true,
-        operation: operation.name,
+        operations,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -359,11 +228,11 @@ class VertexService {
     }
   }
 
-  async importProducts(productsData) {
+  async importProducts(productsData, target = this.localeTargets[0]) {
     try {
-      console.log(`🔄 Full Sync: Importing ${productsData.length} products to Vertex AI`);
+      console.log(`🔄 Full Sync: Importing ${productsData.length} products to Vertex AI (${target.locale}, branch ${target.branchId})`);
       
-      const retailProducts = productsData.map(product => this.transformToRetailProduct(product));
+      const retailProducts = productsData.flatMap(product => this.transformToRetailProducts(product, target.locale));
       
       // Log the complete Vertex AI payload for full sync
       if (retailProducts.length > 0) {
@@ -383,29 +252,20 @@ class VertexService {
         console.log('--- END VERTEX AI PAYLOAD ---');
       }
       
-      // Vertex AI Retail API expects a message format for batch imports
-      const importRequest = {
-        inputConfig: {
-          productInlineSource: {
-            products: retailProducts
-          }
-        },
-        reconciliationMode: 'INCREMENTAL'
-      };
-      
-      const operation = await this.makeVertexRequest('/products:import', 'POST', importRequest);
-      
-      // Poll the operation to check for completion and errors
-      const operationResult = await this.pollOperation(operation.name);
-      
-      if (!operationResult.success) {
-        throw new Error(`Import operation failed: ${operationResult.error}`);
-      }
+      const operations = await this.importRetailProducts(retailProducts, target);
+
+      await this.syncLocalInventories(productsData, target);
+
+      // Variants removed in commercetools would otherwise stay searchable
+      const deletedVariants = this.variantMode === 'variants'
+        ? (await this.deleteStaleVariantsOf(productsData, retailProducts, target)).flat()
+        : [];
       
       console.log(`✅ Full Sync: Successfully imported ${productsData.length} products to Vertex AI`);
       return {
         success: true,
-        operation: operation.name,
+        operations,
+        deletedVariants,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -414,9 +274,41 @@ class VertexService {
     }
   }
 
-  async deleteProductFromVertex(productId) {
+  /**
+   * Sends the per-place stock of products (and their VARIANT products) as Vertex local inventories
+   * Places with stock are added, places without are removed (see ProductMapper.toLocalInventoryUpdates);
+   * calls with nothing to add or remove are skipped and the operations are not polled
+   * @returns {Promise<Array<string>>} Operation names, empty when no places are configured
+   */
+  async syncLocalInventories(productsData, target = this.localeTargets[0], { time = new Date().toISOString(), removeUnlisted = false } = {}) {
+    const calls = [];
+    productsData.forEach(productData => {
+      this.productMapper.toLocalInventoryUpdates(productData, { removeUnlisted }).forEach(update => {
+        const productPath = `/products/${encodeURIComponent(update.productId)}`;
+        if (update.localInventories.length > 0) {
+          calls.push([`${productPath}:addLocalInventories`, {
+            localInventories: update.localInventories,
+            addTime: time,
+            allowMissing: true
+          }]);
+        }
+        if (update.removedPlaceIds.length > 0) {
+          calls.push([`${productPath}:removeLocalInventories`, {
+            placeIds: update.removedPlaceIds,
+            removeTime: time,
+            allowMissing: true
+          }]);
+        }
+      });
+    });
+
+    return await mapWithConcurrency(calls, VERTEX_CONCURRENCY, async ([endpoint, body]) =>
+      (await this.makeVertexRequest(endpoint, 'POST', body, target)).name);
+  }
+
+  async deleteProductFromVertex(productId, target = this.localeTargets[0]) {
     try {
-      const result = await this.makeVertexRequest(`/products/${productId}`, 'DELETE');
+      const result = await this.makeVertexRequest(`/products/${encodeURIComponent(productId)}`, 'DELETE', null, target);
       return result;
     } catch (error) {
       console.error(`Failed to delete product ${productId}:`, error);
@@ -424,6 +316,88 @@ class VertexService {
     }
   }
 
+  /**
+   * Lists the ids of the VARIANT products Vertex AI holds for a primary product
+   */
+  async listVariantProductIds(primaryProductId, target = this.localeTargets[0]) {
+    const ids = [];
+    let pageToken = null;
+
+    do {
+      const query = new URLSearchParams({
+        filter: `primary_product_id = "${primaryProductId}"`,
+        readMask: 'id',
+        pageSize: '1000'
+      });
+      if (pageToken) query.set('pageToken', pageToken);
+
+      const response = await this.makeVertexRequest(`/products?${query}`, 'GET', null, target);
+      (response.products || []).forEach(product => ids.push(product.id));
+      pageToken = response.nextPageToken;
+    } while (pageToken);
+
+    return ids;
+  }
+
+  /**
+   * Imports Vertex products with inline imports of at most 100 products, polling each operation
+   * @returns {Promise<Array<string>>} Operation names
+   */
+  async importRetailProducts(retailProducts, target = this.localeTargets[0]) {
+    const operations = [];
+    for (let i = 0; i < retailProducts.length; i += MAX_INLINE_IMPORT_PRODUCTS) {
+      // Vertex AI Retail API expects a message format for batch imports
+      const importRequest = {
+        inputConfig: {
+          productInlineSource: {
+            products: retailProducts.slice(i, i + MAX_INLINE_IMPORT_PRODUCTS)
+          }
+        },
+        reconciliationMode: 'INCREMENTAL'
+      };
+
+      const operation = await this.makeVertexRequest('/products:import', 'POST', importRequest, target);
+
+      // Poll the operation to check for completion and errors
+      const operationResult = await this.pollOperation(operation.name);
+      if (!operationResult.success) {
+        throw new Error(`Import operation failed: ${operationResult.error}`);
+      }
+      operations.push(operation.name);
+    }
+    return operations;
+  }
+
+  /**
+   * Deletes the stale VARIANT products of several primary products, a few products at a time
+   * @param {Array} productsData - HybridService products that were just imported
+   * @param {Array} retailProducts - The imported Vertex products
+   * @returns {Promise<Array<Array<string>>>} Deleted variant product ids per product
+   */
+  async deleteStaleVariantsOf(productsData, retailProducts, target = this.localeTargets[0]) {
+    return await mapWithConcurrency(productsData, VERTEX_CONCURRENCY, productData => {
+      const variantIds = retailProducts
+        .filter(product => product.primaryProductId === productData.id)
+        .map(product => product.id);
+      return this.deleteStaleVariants(productData.id, variantIds, target);
+    });
+  }
+
+  /**
+   * Deletes the VARIANT products of a primary product that are not in keepIds,
+   * e.g. variants removed in commercetools
+   * @returns {Promise<Array<string>>} Deleted variant product ids
+   */
+  async deleteStaleVariants(primaryProductId, keepIds, target = this.localeTargets[0]) {
+    const staleIds = (await this.listVariantProductIds(primaryProductId, target))
+      .filter(id => !keepIds.includes(id));
+
+    for (const id of staleIds) {
+      await this.deleteProductFromVertex(id, target);
+    }
+    return staleIds;
+  }
+
   async createCatalog() {
     try {
       const result = await this.makeVertexRequest('', 'POST', {
@@ -440,16 +414,52 @@ class VertexService {
     }
   }
 
-  async upsertProduct(productData) {
-    return await this.importProduct(productData);
+  async upsertProduct(productData, { staged = false } = {}) {
+    return await this.forEachLocaleTarget(async target => {
+      const result = await this.importProduct(productData, target);
+      if (this.variantMode !== 'variants') {
+        return result;
+      }
+
+      const variantIds = this.transformToRetailProducts(productData, target.locale).slice(1).map(product => product.id);
+      return { ...result, deletedVariants: await this.deleteStaleVariants(productData.id, variantIds, target) };
+    }, this.getTargets(staged));
   }
 
-  async deleteProduct(productId) {
-    return await this.deleteProductFromVertex(productId);
+  async deleteProduct(productId, { staged = false } = {}) {
+    return await this.forEachLocaleTarget(async target => {
+      if (this.variantMode === 'variants') {
+        await this.deleteStaleVariants(productId, [], target);
+      }
+      return this.deleteProductFromVertex(productId, target);
+    }, this.getTargets(staged));
   }
 
-  async batchUpsertProducts(productsData) {
-    return await this.importProducts(productsData);
+  async batchUpsertProducts(productsData, { staged = false } = {}) {
+    return await this.forEachLocaleTarget(target => this.importProducts(productsData, target), this.getTargets(staged));
+  }
+
+  /**
+   * Runs an operation against every locale target (a single one in attributes mode)
+   * @param {Function} operation - Called with each target
+   * @param {Array} [targets] - Targets to run against, the live branch targets by default
+   * @returns {Promise<Object>} The operation result, or per-locale results for several targets
+   */
+  async forEachLocaleTarget(operation, targets = this.localeTargets) {
+    const results = [];
+    for (const target of targets) {
+      results.push({ locale: target.locale, ...(await operation(target)) });
+    }
+
+    if (results.length === 1) {
+      return results[0];
+    }
+
+    return {
+      success: true,
+      localeResults: results,
+      timestamp: new Date().toISOString()
+    };
   }
 
   async pollOperation(operationName) {
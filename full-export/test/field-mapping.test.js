@@ -0,0 +1,42 @@
+const { getFieldMapping, validateFieldMapping } = require('../src/config/field-mapping');
+
+describe('validateFieldMapping', () => {
+  it('should accept rules with sources, transforms, conditions and defaults', () => {
+    const rules = [
+      { target: 'brands', source: 'attributes.brand', transforms: ['trim', { lookup: { acme: 'ACME' } }] },
+      { target: 'attributes.weight_kg', source: 'attributes.weight_g', transforms: ['number', { divide: 1000 }] },
+      { target: 'tags', default: 'Outlet', when: { source: 'attributes.outlet', exists: true } }
+    ];
+
+    expect(validateFieldMapping(rules)).toBe(rules);
+  });
+
+  it.each([
+    [{ rules: 'not a list' }, 'must be a list of rules'],
+    [[{ target: 'priceInfo', source: 'sku' }], 'Invalid target "priceInfo"'],
+    [[{ target: 'brands', source: 'masterVariant.sku' }], 'Invalid source "masterVariant.sku"'],
+    [[{ target: 'brands' }], 'needs a source or a default'],
+    [[{ target: 'sizes', source: 'attributes.size', transforms: ['reverse'] }], 'Unknown transform "reverse"'],
+    [[{ target: 'sizes', source: 'attributes.size', transforms: [{ split: 1 }] }], 'split in field mapping #1 (sizes) needs a separator'],
+    [[{ target: 'tags', default: 'Sale', when: { source: 'sku' } }], 'needs exactly one of equals, in, exists'],
+    [[{ target: 'attributes.ean', source: 'sku', searchable: 'yes' }], 'searchable in field mapping #1 (attributes.ean) must be true or false'],
+    [[{ target: 'audience.genders', default: 'men' }], '"men" is not one of male, female, unisex'],
+    [[{ target: 'colorInfo.colorFamilies', source: 'attributes.color', transforms: [{ lookup: { navy: 'Navy' } }] }], '"Navy" is not one of Red'],
+    [[{ target: 'gtin', default: '12345' }], '"12345" is not 8, 12, 13 or 14 digits']
+  ])('should reject invalid mapping %#', (rules, message) => {
+    expect(() => validateFieldMapping(rules)).toThrow(message);
+  });
+});
+
+describe('getFieldMapping', () => {
+  it('should read the shipped sample relative to the app directory', () => {
+    const rules = getFieldMapping({ VERTEX_FIELD_MAPPING_FILE: 'config/field-mapping.json' });
+
+    expect(rules.map(rule => rule.target)).toEqual(['brands', 'colorInfo.colorFamilies', 'sizes', 'attributes.weight_kg', 'tags']);
+  });
+
+  it('should name the file when it cannot be read', () => {
+    expect(() => getFieldMapping({ VERTEX_FIELD_MAPPING_FILE: 'config/missing.json' }))
+      .toThrow('Invalid VERTEX_FIELD_MAPPING_FILE config/missing.json');
+  });
+});
@@ -23,5 +23,24 @@ describe('Full Export Application', () => {
       expect(response.body).toHaveProperty('message');
       expect(response.body).toHaveProperty('data');
     });
+
+    it('should reject a startAfterId that is not a product id', async () => {
+      const response = await request(app)
+        .post('/fullSync')
+        .send({ startAfterId: '" or id > "' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('success', false);
+      expect(response.body.error).toContain('startAfterId');
+    });
+
+    it('should reject a staged flag that is not a boolean', async () => {
+      const response = await request(app)
+        .post('/fullSync')
+        .send({ startAfterId: '8f0d6c1e-0b1a-4f6e-9d3c-2a7b5e4c1d01', staged: 'true' })
+        .expect(400);
+
+      expect(response.body.error).toContain('staged');
+    });
   });
 }); 
\ No newline at end of file
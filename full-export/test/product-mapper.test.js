@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const { ProductMapper } = require('../src/mappers/product-mapper');
+const { getLocaleConfig } = require('../src/config/locales');
+const { getProductUriTemplate } = require('../src/config/product-uri');
+const { validateFieldMapping } = require('../src/config/field-mapping');
+const { getLocalInventoryConfig } = require('../src/config/local-inventory');
+const { getStockConfig } = require('../src/config/stock');
+const { getPriceInfoConfig } = require('../src/config/price-info');
+
+// Golden files are byte-identical in full-export and incremental-updater, so both apps
+// must produce exactly this output for the same commercetools input
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'product-mapper');
+
+const readJson = file => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+
+const fixtureNames = fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.input.json'))
+  .map(file => file.replace('.input.json', ''));
+
+const createMapper = (config, fieldMapping = []) => new ProductMapper({
+  localeConfig: getLocaleConfig(config),
+  productUriTemplate: getProductUriTemplate(config),
+  variantMode: config.VERTEX_VARIANT_MODE,
+  fieldMapping: validateFieldMapping(fieldMapping),
+  localInventory: getLocalInventoryConfig(config),
+  stock: getStockConfig(config),
+  priceInfo: getPriceInfoConfig(config)
+});
+
+describe('ProductMapper golden files', () => {
+  // Values Vertex AI does not accept are dropped with a warning
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each(fixtureNames)('should map %s to the expected Vertex products', name => {
+    const { config, fieldMapping = [], product } = readJson(`${name}.input.json`);
+    const localeConfig = getLocaleConfig(config);
+    const mapper = createMapper(config, fieldMapping);
+
+    // Serialized like the request body sent to Vertex AI, which drops undefined fields
+    const output = {};
+    localeConfig.locales.forEach(locale => {
+      output[locale] = JSON.parse(JSON.stringify(mapper.toVertexProducts(product, locale)));
+    });
+
+    expect(output).toEqual(readJson(`${name}.expected.json`));
+  });
+});
+
+describe('ProductMapper local inventories', () => {
+  const { config, product } = readJson('local-inventory.input.json');
+
+  it('should add places with stock and remove places whose channel has no stock', () => {
+    const [primary, firstVariant, secondVariant] = createMapper(config).toLocalInventoryUpdates(product);
+
+    expect(primary).toEqual({
+      productId: product.id,
+      localInventories: [
+        { placeId: 'berlin', fulfillmentTypes: ['pickup-in-store'], attributes: { available_quantity: { numbers: [5] } } },
+        { placeId: 'east', fulfillmentTypes: ['same-day-delivery', 'ship-to-store'], attributes: { available_quantity: { numbers: [20] } } }
+      ],
+      removedPlaceIds: ['munich']
+    });
+    expect(firstVariant.productId).toBe('HOSE-15M');
+    expect(firstVariant.removedPlaceIds).toEqual(['munich']);
+    expect(secondVariant.removedPlaceIds).toEqual([]);
+  });
+
+  it('should also remove places without availability when asked to', () => {
+    const [primary, firstVariant, secondVariant] = createMapper(config)
+      .toLocalInventoryUpdates(product, { removeUnlisted: true });
+
+    expect(primary.removedPlaceIds).toEqual(['munich']);
+    expect(firstVariant.removedPlaceIds).toEqual(['munich', 'east']);
+    expect(secondVariant.removedPlaceIds).toEqual(['munich']);
+  });
+
+  it('should not send local inventories without configured places', () => {
+    const { VERTEX_LOCAL_INVENTORY_PLACES, ...configWithoutPlaces } = config;
+
+    expect(createMapper(configWithoutPlaces).toLocalInventoryUpdates(product)).toEqual([]);
+  });
+});
+
+describe('ProductMapper stock aggregation', () => {
+  const { config, product } = readJson('local-inventory.input.json');
+  const stockOf = aggregation => {
+    const mapper = createMapper({ ...config, VERTEX_STOCK_AGGREGATION: aggregation });
+    const { availability, availableQuantity } = mapper.toVertexProduct(product);
+    return { availability, availableQuantity };
+  };
+
+  it('should combine the variant stock as configured', () => {
+    expect(stockOf('sum')).toEqual({ availability: 'IN_STOCK', availableQuantity: 12 });
+    expect(stockOf('master')).toEqual({ availability: 'IN_STOCK', availableQuantity: 7 });
+    expect(stockOf('any')).toEqual({ availability: 'IN_STOCK', availableQuantity: 7 });
+  });
+
+  it('should only use the master variant in master mode', () => {
+    const soldOutMaster = JSON.parse(JSON.stringify(product));
+    soldOutMaster.masterData.current.masterVariant.availability = { isOnStock: false, availableQuantity: 0 };
+    const mapper = createMapper({ ...config, VERTEX_STOCK_AGGREGATION: 'master' });
+
+    expect(mapper.toVertexProduct(soldOutMaster)).toMatchObject({ availability: 'OUT_OF_STOCK', availableQuantity: 0 });
+    expect(createMapper(config).toVertexProduct(soldOutMaster)).toMatchObject({ availability: 'IN_STOCK', availableQuantity: 5 });
+  });
+
+  it('should reject unknown aggregation modes', () => {
+    expect(() => stockOf('max')).toThrow('Invalid VERTEX_STOCK_AGGREGATION "max"');
+  });
+});
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+
+// full-export and incremental-updater are deployed separately, so code both apps need is
+// copied into each of them; this test fails as soon as one copy is changed without the other
+const APP_DIR = path.join(__dirname, '..');
+const OTHER_APP = path.basename(APP_DIR) === 'full-export' ? 'incremental-updater' : 'full-export';
+const OTHER_APP_DIR = path.join(APP_DIR, '..', OTHER_APP);
+
+// Directories that must hold the same files in both apps
+const SHARED_DIRS = ['config', 'src/config', 'src/mappers', 'test/fixtures/product-mapper'];
+
+// Single files that must be the same in both apps
+const SHARED_FILES = [
+  'src/services/commercetools-http-client.js',
+  'src/services/concurrency.js',
+  'src/services/http-timeouts.js',
+  'src/services/hybrid-service.js',
+  'src/services/token-manager.js',
+  'test/commercetools-http-client.test.js',
+  'test/field-mapping.test.js',
+  'test/hybrid-service.test.js',
+  'test/product-mapper.test.js',
+  'test/shared-copies.test.js',
+  'test/token-manager.test.js'
+];
+
+const listFiles = (root, dir) => fs.readdirSync(path.join(root, dir), { withFileTypes: true })
+  .flatMap(entry => {
+    const file = path.posix.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(root, file) : [file];
+  })
+  .sort();
+
+// Outside the monorepo (e.g. a single deployed app) there is nothing to compare against
+const describeWithOtherApp = fs.existsSync(OTHER_APP_DIR) ? describe : describe.skip;
+
+describeWithOtherApp(`Files shared with ${OTHER_APP}`, () => {
+  it.each(SHARED_DIRS)('should have the same files in %s', dir => {
+    expect(listFiles(APP_DIR, dir)).toEqual(listFiles(OTHER_APP_DIR, dir));
+  });
+
+  const sharedFiles = [...SHARED_FILES, ...SHARED_DIRS.flatMap(dir => listFiles(APP_DIR, dir))];
+
+  it.each(sharedFiles)('should have an identical copy of %s', file => {
+    const content = fs.readFileSync(path.join(APP_DIR, file), 'utf8');
+    const otherContent = fs.readFileSync(path.join(OTHER_APP_DIR, file), 'utf8');
+
+    // Compared as text so a failure shows the differing lines
+    expect(otherContent).toEqual(content);
+  });
+});
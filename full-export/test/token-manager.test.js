@@ -0,0 +1,87 @@
+const { TokenManager } = require('../src/services/token-manager');
+
+const createTokenManager = (...tokens) => {
+  const tokenManager = new TokenManager({ authHost: 'https://auth.example.com' });
+  tokenManager.requestToken = jest.fn();
+  tokens.forEach(token => tokenManager.requestToken.mockResolvedValueOnce(token));
+  return tokenManager;
+};
+
+describe('TokenManager', () => {
+  let now;
+
+  beforeEach(() => {
+    now = Date.parse('2024-05-01T12:00:00.000Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should cache the token until the safety margin before it expires', async () => {
+    const tokenManager = createTokenManager(
+      { access_token: 'token-1', expires_in: 3600 },
+      { access_token: 'token-2', expires_in: 3600 }
+    );
+
+    expect(await tokenManager.getAccessToken()).toBe('token-1');
+    now += (3600 - 5 * 60 - 1) * 1000;
+    expect(await tokenManager.getAccessToken()).toBe('token-1');
+    now += 1000;
+    expect(await tokenManager.getAccessToken()).toBe('token-2');
+    expect(tokenManager.requestToken).toHaveBeenCalledTimes(2);
+  });
+
+  it('should share one refresh between concurrent callers', async () => {
+    const tokenManager = createTokenManager({ access_token: 'token-1', expires_in: 3600 });
+
+    const tokens = await Promise.all([
+      tokenManager.getAccessToken(),
+      tokenManager.getAccessToken(),
+      tokenManager.getAccessToken()
+    ]);
+
+    expect(tokens).toEqual(['token-1', 'token-1', 'token-1']);
+    expect(tokenManager.requestToken).toHaveBeenCalledTimes(1);
+  });
+
+  it('should let the next caller retry after a failed refresh', async () => {
+    const tokenManager = createTokenManager();
+    tokenManager.requestToken
+      .mockRejectedValueOnce(new Error('HTTP 503'))
+      .mockResolvedValueOnce({ access_token: 'token-1', expires_in: 3600 });
+
+    await expect(tokenManager.getAccessToken()).rejects.toThrow('HTTP 503');
+    expect(await tokenManager.getAccessToken()).toBe('token-1');
+  });
+
+  it('should keep tokens shorter-lived than the margin for half their lifetime', async () => {
+    const tokenManager = createTokenManager(
+      { access_token: 'token-1', expires_in: 120 },
+      { access_token: 'token-2', expires_in: 120 }
+    );
+
+    expect(await tokenManager.getAccessToken()).toBe('token-1');
+    now += 59 * 1000;
+    expect(await tokenManager.getAccessToken()).toBe('token-1');
+    now += 1000;
+    expect(await tokenManager.getAccessToken()).toBe('token-2');
+  });
+
+  it('should ignore invalidating a token that was already replaced', async () => {
+    const tokenManager = createTokenManager(
+      { access_token: 'token-1', expires_in: 3600 },
+      { access_token: 'token-2', expires_in: 3600 }
+    );
+
+    await tokenManager.getAccessToken();
+    tokenManager.invalidate('token-1');
+    expect(await tokenManager.getAccessToken()).toBe('token-2');
+
+    // A late 401 for the old token must not throw away the new one
+    tokenManager.invalidate('token-1');
+    expect(await tokenManager.getAccessToken()).toBe('token-2');
+    expect(tokenManager.requestToken).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Attribute settings overrides - Adjusts how product type attributes are sent to Vertex AI
+ *
+ * VERTEX_ATTRIBUTE_SETTINGS_FILE  Optional path to a JSON file keyed by commercetools attribute name,
+ *                                 relative to the app directory (e.g. config/attribute-settings.json):
+ *
+ *   {
+ *     "ean": { "searchable": true, "indexable": false },
+ *     "color": { "indexable": true },
+ *     "size": { "valueType": "text" }
+ *   }
+ *
+ * Settings that are left out keep the value derived from the product type.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Settings files are deployed with the app, so relative paths do not depend on the working directory
+const APP_DIR = path.join(__dirname, '..', '..');
+
+const VALUE_TYPES = ['text', 'numbers'];
+const BOOLEAN_SETTINGS = ['searchable', 'indexable'];
+
+/**
+ * Reads and validates the overrides file
+ * @returns {Object} Settings by attribute name (empty when no file is configured)
+ */
+function getAttributeSettingsOverrides(env = process.env) {
+  const filePath = env.VERTEX_ATTRIBUTE_SETTINGS_FILE;
+  if (!filePath) {
+    return {};
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(path.resolve(APP_DIR, filePath), 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid VERTEX_ATTRIBUTE_SETTINGS_FILE ${filePath}: ${error.message}`);
+  }
+
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('VERTEX_ATTRIBUTE_SETTINGS_FILE must contain an object keyed by attribute name');
+  }
+
+  Object.entries(overrides).forEach(([attributeName, settings]) => {
+    if (!settings || typeof settings !== 'object') {
+      throw new Error(`Attribute settings for ${attributeName} must be an object`);
+    }
+
+    Object.entries(settings).forEach(([setting, value]) => {
+      if (setting === 'valueType') {
+        if (!VALUE_TYPES.includes(value)) {
+          throw new Error(`Invalid valueType "${value}" for ${attributeName}, expected ${VALUE_TYPES.join(' or ')}`);
+        }
+      } else if (BOOLEAN_SETTINGS.includes(setting)) {
+        if (typeof value !== 'boolean') {
+          throw new Error(`${setting} for ${attributeName} must be true or false`);
+        }
+      } else {
+        throw new Error(`Unknown attribute setting "${setting}" for ${attributeName}`);
+      }
+    });
+  });
+
+  return overrides;
+}
+
+module.exports = { getAttributeSettingsOverrides };
@@ -0,0 +1,203 @@
+/**
+ * Field mapping - Declarative rules that fill Vertex AI product fields from commercetools data
+ *
+ * VERTEX_FIELD_MAPPING_FILE  Optional path to a JSON file with a list of rules, relative to the app
+ *                            directory (e.g. config/field-mapping.json):
+ *
+ *   [
+ *     { "target": "brands", "source": "attributes.brand", "transforms": ["trim"] },
+ *     { "target": "colorInfo.colorFamilies", "source": "attributes.color",
+ *       "transforms": ["lowercase", { "lookup": { "navy": "Blue", "crimson": "Red" } }] },
+ *     { "target": "sizes", "source": "attributes.size", "transforms": [{ "split": "/" }] },
+ *     { "target": "attributes.weight_kg", "source": "attributes.weight_g",
+ *       "transforms": ["number", { "divide": 1000 }], "indexable": true },
+ *     { "target": "tags", "source": "productType", "when": { "source": "attributes.outlet", "equals": "true" },
+ *       "default": "Outlet" }
+ *   ]
+ *
+ * Sources:    id, key, sku, productType, name, description, slug, categories (leaf names),
+ *             categoryPaths, attributes.<attribute name>
+ * Targets:    native Vertex fields (brands, tags, sizes, materials, patterns, conditions, gtin,
+ *             colorInfo.colors, colorInfo.colorFamilies, audience.genders, audience.ageGroups)
+ *             or attributes.<name>; enum fields only accept Vertex's values (see mappers/vertex-fields)
+ * Transforms: trim, lowercase, uppercase, number, { split }, { join }, { lookup }, { divide }
+ * when:       { source, equals | in | exists } - the rule only applies when the condition holds
+ * default:    value (or list) used when the source yields nothing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { VERTEX_FIELDS, checkFieldValue } = require('../mappers/vertex-fields');
+
+const SOURCE_FIELDS = ['id', 'key', 'sku', 'productType', 'name', 'description', 'slug', 'categories', 'categoryPaths'];
+const TARGET_FIELDS = Object.keys(VERTEX_FIELDS);
+const SIMPLE_TRANSFORMS = ['trim', 'lowercase', 'uppercase', 'number'];
+const CONDITION_OPERATORS = ['equals', 'in', 'exists'];
+const ATTRIBUTE_PREFIX = 'attributes.';
+
+// The rules file is deployed with the app, so relative paths do not depend on the working directory
+const APP_DIR = path.join(__dirname, '..', '..');
+
+/**
+ * Checks a source path like "sku" or "attributes.color"
+ */
+function isValidSource(source) {
+  if (typeof source !== 'string') return false;
+  if (source.startsWith(ATTRIBUTE_PREFIX)) return source.length > ATTRIBUTE_PREFIX.length;
+  return SOURCE_FIELDS.includes(source);
+}
+
+/**
+ * Checks a target path like "brands" or "attributes.material"
+ */
+function isValidTarget(target) {
+  if (typeof target !== 'string') return false;
+  if (target.startsWith(ATTRIBUTE_PREFIX)) return target.length > ATTRIBUTE_PREFIX.length;
+  return TARGET_FIELDS.includes(target);
+}
+
+/**
+ * Validates a single transform, e.g. "lowercase" or { "split": "," }
+ */
+function validateTransform(transform, ruleName) {
+  if (typeof transform === 'string') {
+    if (!SIMPLE_TRANSFORMS.includes(transform)) {
+      throw new Error(`Unknown transform "${transform}" in field mapping ${ruleName}`);
+    }
+    return;
+  }
+
+  const keys = transform && typeof transform === 'object' ? Object.keys(transform) : [];
+  if (keys.length !== 1) {
+    throw new Error(`Transforms in field mapping ${ruleName} must be a name or an object with one key`);
+  }
+
+  const [name] = keys;
+  const argument = transform[name];
+  switch (name) {
+    case 'split':
+    case 'join':
+      if (typeof argument !== 'string') {
+        throw new Error(`${name} in field mapping ${ruleName} needs a separator string`);
+      }
+      break;
+    case 'lookup':
+      if (!argument || typeof argument !== 'object' || Array.isArray(argument)) {
+        throw new Error(`lookup in field mapping ${ruleName} needs an object of value to replacement`);
+      }
+      break;
+    case 'divide':
+      if (typeof argument !== 'number' || argument === 0) {
+        throw new Error(`divide in field mapping ${ruleName} needs a non-zero number`);
+      }
+      break;
+    default:
+      throw new Error(`Unknown transform "${name}" in field mapping ${ruleName}`);
+  }
+}
+
+/**
+ * Validates a "when" condition
+ */
+function validateCondition(condition, ruleName) {
+  if (!condition || typeof condition !== 'object' || !isValidSource(condition.source)) {
+    throw new Error(`when in field mapping ${ruleName} needs a valid source`);
+  }
+
+  const operators = CONDITION_OPERATORS.filter(operator => operator in condition);
+  if (operators.length !== 1) {
+    throw new Error(`when in field mapping ${ruleName} needs exactly one of ${CONDITION_OPERATORS.join(', ')}`);
+  }
+  if (operators[0] === 'in' && !Array.isArray(condition.in)) {
+    throw new Error(`when.in in field mapping ${ruleName} must be a list`);
+  }
+  if (operators[0] === 'exists' && typeof condition.exists !== 'boolean') {
+    throw new Error(`when.exists in field mapping ${ruleName} must be true or false`);
+  }
+}
+
+/**
+ * Checks the values a rule can produce by itself (default and lookup replacements) against the target field
+ * Values read from commercetools are checked per product instead
+ */
+function validateTargetValues(rule, ruleName) {
+  if (!VERTEX_FIELDS[rule.target]) return;
+
+  const lookups = (rule.transforms || []).filter(transform => transform?.lookup).map(transform => transform.lookup);
+  const values = [
+    ...(rule.default !== undefined ? [].concat(rule.default) : []),
+    ...lookups.flatMap(lookup => Object.values(lookup))
+  ];
+
+  values.forEach(value => {
+    const reason = checkFieldValue(rule.target, value);
+    if (reason) {
+      throw new Error(`Invalid value in field mapping ${ruleName}: ${reason}`);
+    }
+  });
+}
+
+/**
+ * Validates a list of field mapping rules
+ * @returns {Array} The rules
+ */
+function validateFieldMapping(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Field mapping must be a list of rules');
+  }
+
+  rules.forEach((rule, index) => {
+    const ruleName = `#${index + 1}${rule?.target ? ` (${rule.target})` : ''}`;
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`Field mapping ${ruleName} must be an object`);
+    }
+    if (!isValidTarget(rule.target)) {
+      throw new Error(`Invalid target "${rule.target}" in field mapping ${ruleName}, expected one of ${TARGET_FIELDS.join(', ')} or attributes.<name>`);
+    }
+    if (rule.source === undefined && rule.default === undefined) {
+      throw new Error(`Field mapping ${ruleName} needs a source or a default`);
+    }
+    if (rule.source !== undefined && !isValidSource(rule.source)) {
+      throw new Error(`Invalid source "${rule.source}" in field mapping ${ruleName}, expected one of ${SOURCE_FIELDS.join(', ')} or attributes.<name>`);
+    }
+    if (rule.transforms !== undefined) {
+      if (!Array.isArray(rule.transforms)) {
+        throw new Error(`transforms in field mapping ${ruleName} must be a list`);
+      }
+      rule.transforms.forEach(transform => validateTransform(transform, ruleName));
+    }
+    if (rule.when !== undefined) {
+      validateCondition(rule.when, ruleName);
+    }
+    validateTargetValues(rule, ruleName);
+    ['searchable', 'indexable'].forEach(setting => {
+      if (rule[setting] !== undefined && typeof rule[setting] !== 'boolean') {
+        throw new Error(`${setting} in field mapping ${ruleName} must be true or false`);
+      }
+    });
+  });
+
+  return rules;
+}
+
+/**
+ * Reads and validates the field mapping file
+ * @returns {Array} Rules (empty when no file is configured)
+ */
+function getFieldMapping(env = process.env) {
+  const filePath = env.VERTEX_FIELD_MAPPING_FILE;
+  if (!filePath) {
+    return [];
+  }
+
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(path.resolve(APP_DIR, filePath), 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid VERTEX_FIELD_MAPPING_FILE ${filePath}: ${error.message}`);
+  }
+
+  return validateFieldMapping(rules);
+}
+
+module.exports = { getFieldMapping, validateFieldMapping, ATTRIBUTE_PREFIX };
@@ -0,0 +1,57 @@
+/**
+ * Local inventory configuration - Which commercetools supply channels are Vertex AI places
+ *
+ * VERTEX_LOCAL_INVENTORY_PLACES  Channel key to Vertex place id, optionally with the place's fulfillment
+ *                                types, e.g. store-berlin=berlin,warehouse-east=east:same-day-delivery|ship-to-store
+ * VERTEX_FULFILLMENT_TYPES       Fulfillment types of places without their own, default pickup-in-store
+ *
+ * Channels that are not in the table are not exported as local inventories.
+ */
+
+const { parseKeyValueList } = require('./locales');
+
+const FULFILLMENT_TYPES = [
+  'pickup-in-store', 'ship-to-store', 'same-day-delivery', 'next-day-delivery',
+  'custom-type-1', 'custom-type-2', 'custom-type-3', 'custom-type-4', 'custom-type-5'
+];
+
+/**
+ * Parses and validates "type|type" fulfillment type lists
+ */
+function parseFulfillmentTypes(value, settingName) {
+  const types = value.split('|').map(type => type.trim()).filter(Boolean);
+  types.forEach(type => {
+    if (!FULFILLMENT_TYPES.includes(type)) {
+      throw new Error(`Invalid fulfillment type "${type}" in ${settingName}, expected one of ${FULFILLMENT_TYPES.join(', ')}`);
+    }
+  });
+  return types;
+}
+
+/**
+ * Builds the local inventory configuration from environment variables
+ * @returns {Object} { places: Map of channel key to { placeId, fulfillmentTypes } }, empty without places
+ */
+function getLocalInventoryConfig(env = process.env) {
+  const defaultFulfillmentTypes = parseFulfillmentTypes(env.VERTEX_FULFILLMENT_TYPES || 'pickup-in-store', 'VERTEX_FULFILLMENT_TYPES');
+
+  const places = new Map();
+  Object.entries(parseKeyValueList(env.VERTEX_LOCAL_INVENTORY_PLACES)).forEach(([channelKey, value]) => {
+    const separatorIndex = value.indexOf(':');
+    const placeId = (separatorIndex === -1 ? value : value.slice(0, separatorIndex)).trim();
+    if (!placeId) {
+      throw new Error(`Missing Vertex place id for channel ${channelKey} in VERTEX_LOCAL_INVENTORY_PLACES`);
+    }
+
+    places.set(channelKey, {
+      placeId,
+      fulfillmentTypes: separatorIndex === -1
+        ? defaultFulfillmentTypes
+        : parseFulfillmentTypes(value.slice(separatorIndex + 1), 'VERTEX_LOCAL_INVENTORY_PLACES')
+    });
+  });
+
+  return { places };
+}
+
+module.exports = { getLocalInventoryConfig };
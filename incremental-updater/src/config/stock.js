@@ -0,0 +1,31 @@
+/**
+ * Stock configuration - How variant stock becomes the availability of a Vertex product
+ *
+ * VERTEX_STOCK_AGGREGATION  How a PRIMARY product's stock is built from its variants:
+ *                             sum     availableQuantity is the sum of all variants (default)
+ *                             master  the master variant alone
+ *                             any     availableQuantity is the largest single variant stock
+ *                           With sum and any the product is in stock when any variant is.
+ * VERTEX_PREORDER_ATTRIBUTE Optional variant attribute that marks pre-order variants: a boolean,
+ *                           or a date/datetime (release date) that is still in the future
+ */
+
+const STOCK_AGGREGATIONS = ['sum', 'master', 'any'];
+
+/**
+ * Builds the stock configuration from environment variables
+ * @returns {Object} { aggregation, preorderAttribute }
+ */
+function getStockConfig(env = process.env) {
+  const aggregation = env.VERTEX_STOCK_AGGREGATION || 'sum';
+  if (!STOCK_AGGREGATIONS.includes(aggregation)) {
+    throw new Error(`Invalid VERTEX_STOCK_AGGREGATION "${aggregation}", expected one of ${STOCK_AGGREGATIONS.join(', ')}`);
+  }
+
+  return {
+    aggregation,
+    preorderAttribute: env.VERTEX_PREORDER_ATTRIBUTE || null
+  };
+}
+
+module.exports = { getStockConfig };
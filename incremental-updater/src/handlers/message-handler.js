@@ -1,3 +1,17 @@
+const { ProductNotInStoreError } = require('../services/hybrid-service');
+
+// Messages that only change some Vertex fields, by the kind of change (see ProductMapper.getUpdateMask)
+// commercetools sends no message for name or description edits; those arrive with ProductPublished
+const PARTIAL_UPDATE_MESSAGES = {
+  ProductPriceChanged: 'price',
+  ProductPriceAdded: 'price',
+  ProductPriceRemoved: 'price',
+  ProductSlugChanged: 'slug',
+  ProductAddedToCategory: 'categories',
+  ProductRemovedFromCategory: 'categories',
+  ProductImageAdded: 'images'
+};
+
 class MessageHandler {
   constructor(productSyncService, storeKey) {
     this.productSyncService = productSyncService;
@@ -116,6 +130,11 @@ class MessageHandler {
           console.log(`🔄 Processing product event: ${type} for product ID: ${resourceId}`);
           result = await this.handleProductMessage(type, resourceId, message);
           break;
+
+        case 'inventory-entry':
+          console.log(`📦 Processing inventory event: ${type} for inventory entry ID: ${resourceId}`);
+          result = await this.handleInventoryMessage(type, resourceId, messageData);
+          break;
         
         default:
           console.log(`⚠️ Unhandled resource type: ${resourceTypeId} - ignoring message`);
@@ -143,31 +162,43 @@ class MessageHandler {
     try {
       switch (type) {
         // CREATE OPERATIONS - Create product in Vertex AI
-        case 'ProductCreated':
-          console.log(`📦 Creating product ${productId} in Vertex AI (ProductCreated event)`);
-          const createResult = await this.productSyncService.syncProduct(productId, 'upsert');
-          console.log(`✅ Product ${productId} created in Vertex AI successfully`);
-          return {
-            ...createResult,
-            action: 'created',
-            message: `Product ${productId} created in Vertex AI`
-          };
+        // New products are unpublished, so in staged mode they go to the preview branch
+        case 'ProductCreated': {
+          const staged = this.productSyncService.isStagedModeEnabled();
+          return await this.ignoreIfOutsideStore(type, productId, async () => {
+            console.log(`📦 Creating product ${productId} in ${this.getBranchLabel(staged)} (ProductCreated event)`);
+            const createResult = await this.productSyncService.syncProduct(productId, 'upsert', { staged });
+            console.log(`✅ Product ${productId} created in ${this.getBranchLabel(staged)} successfully`);
+            return {
+              ...createResult,
+              action: 'created',
+              staged,
+              message: `Product ${productId} created in ${this.getBranchLabel(staged)}`
+            };
+          });
+        }
 
-        // PUBLISH OPERATIONS - Create/Update product in Vertex AI
-        case 'ProductPublished':
-          console.log(`📦 Publishing product ${productId} to Vertex AI (ProductPublished event)`);
-          const publishResult = await this.productSyncService.syncProduct(productId, 'upsert');
-          console.log(`✅ Product ${productId} published to Vertex AI successfully`);
-          return {
-            ...publishResult,
-            action: 'published',
-            message: `Product ${productId} published to Vertex AI`
-          };
+        // PUBLISH OPERATIONS - Create/Update product in the live Vertex AI branch
+        case 'ProductPublished': {
+          return await this.ignoreIfOutsideStore(type, productId, async () => {
+            console.log(`📦 Publishing product ${productId} to Vertex AI (ProductPublished event)`);
+            const publishResult = await this.productSyncService.syncProduct(productId, 'upsert');
+            console.log(`✅ Product ${productId} published to Vertex AI successfully`);
+            return {
+              ...publishResult,
+              action: 'published',
+              message: `Product ${productId} published to Vertex AI`
+            };
+          });
+        }
 
-        // DELETE OPERATIONS - Delete product from Vertex AI
+        // DELETE OPERATIONS - Delete product from Vertex AI (and the preview branch in staged mode)
         case 'ProductDeleted':
           console.log(`🗑️ Deleting product ${productId} from Vertex AI (ProductDeleted event)`);
           const deleteResult = await this.productSyncService.syncProduct(productId, 'delete');
+          if (this.productSyncService.isStagedModeEnabled()) {
+            await this.productSyncService.syncProduct(productId, 'delete', { staged: true });
+          }
           console.log(`✅ Product ${productId} deleted from Vertex AI successfully`);
           return {
             ...deleteResult,
@@ -175,7 +206,7 @@ class MessageHandler {
             message: `Product ${productId} deleted from Vertex AI`
           };
 
-        // UNPUBLISH OPERATIONS - Delete product from Vertex AI
+        // UNPUBLISH OPERATIONS - Delete product from the live Vertex AI branch
         case 'ProductUnpublished':
           console.log(`🚫 Unpublishing product ${productId} from Vertex AI (ProductUnpublished event)`);
           const unpublishResult = await this.productSyncService.syncProduct(productId, 'delete');
@@ -186,40 +217,58 @@ class MessageHandler {
             message: `Product ${productId} unpublished from Vertex AI`
           };
 
-        // UPDATE OPERATIONS - Update product in Vertex AI
-        case 'ProductVariantAdded':
-        case 'ProductVariantRemoved':
-        case 'ProductVariantUpdated':
+        // PARTIAL UPDATES - Patch only the affected Vertex fields (the preview branch in staged mode)
         case 'ProductPriceChanged':
-        case 'ProductPriceRemoved':
         case 'ProductPriceAdded':
+        case 'ProductPriceRemoved':
         case 'ProductSlugChanged':
-        case 'ProductNameChanged':
-        case 'ProductDescriptionChanged':
+        case 'ProductAddedToCategory':
+        case 'ProductRemovedFromCategory':
+        case 'ProductImageAdded': {
+          const staged = this.productSyncService.isStagedModeEnabled();
+          return await this.ignoreIfOutsideStore(type, productId, async () => {
+            const change = PARTIAL_UPDATE_MESSAGES[type];
+            console.log(`🩹 Patching ${change} of product ${productId} in ${this.getBranchLabel(staged)} (${type} event)`);
+            const patchResult = await this.productSyncService.patchProduct(productId, change, { staged });
+            console.log(`✅ Product ${productId} patched in ${this.getBranchLabel(staged)} (${patchResult.updateMask.join(', ')})`);
+            return {
+              ...patchResult,
+              action: 'patched',
+              staged,
+              message: `Product ${productId} ${change} patched in ${this.getBranchLabel(staged)} (${type})`
+            };
+          });
+        }
+
+        // UPDATE OPERATIONS - Update product in Vertex AI (the preview branch in staged mode)
+        case 'ProductVariantAdded':
+        case 'ProductVariantRemoved':
+        case 'ProductVariantUpdated':
         case 'ProductMetaTitleChanged':
         case 'ProductMetaDescriptionChanged':
         case 'ProductMetaKeywordsChanged':
-        case 'ProductCategoryAdded':
-        case 'ProductCategoryRemoved':
-        case 'ProductImagesChanged':
         case 'ProductAttributeAdded':
         case 'ProductAttributeRemoved':
         case 'ProductAttributeChanged':
         case 'ProductStateChanged':
         case 'ProductTaxCategoryChanged':
         case 'ProductSearchKeywordsChanged':
-        case 'ProductExternalImageChanged':
         case 'ProductAssetAdded':
         case 'ProductAssetRemoved':
-        case 'ProductAssetChanged':
-          console.log(`🔄 Updating product ${productId} in Vertex AI (${type} event)`);
-          const updateResult = await this.productSyncService.syncProduct(productId, 'upsert');
-          console.log(`✅ Product ${productId} updated in Vertex AI successfully`);
-          return {
-            ...updateResult,
-            action: 'updated',
-            message: `Product ${productId} updated in Vertex AI (${type})`
-          };
+        case 'ProductAssetChanged': {
+          const staged = this.productSyncService.isStagedModeEnabled();
+          return await this.ignoreIfOutsideStore(type, productId, async () => {
+            console.log(`🔄 Updating product ${productId} in ${this.getBranchLabel(staged)} (${type} event)`);
+            const updateResult = await this.productSyncService.syncProduct(productId, 'upsert', { staged });
+            console.log(`✅ Product ${productId} updated in ${this.getBranchLabel(staged)} successfully`);
+            return {
+              ...updateResult,
+              action: 'updated',
+              staged,
+              message: `Product ${productId} updated in ${this.getBranchLabel(staged)} (${type})`
+            };
+          });
+        }
 
         // UNHANDLED EVENTS - Log but don't process
         default:
@@ -237,8 +286,88 @@ class MessageHandler {
     }
   }
 
-  // Store and Product Selection handlers removed since they're not needed
-  // Focus on core product sync functionality only
+  /**
+   * Pushes the availability of the product with the inventory entry's SKU to Vertex AI (setInventory)
+   * @param {string} type - Message type
+   * @param {string} inventoryEntryId - Inventory entry ID
+   * @param {Object} messageData - Decoded message, carries the SKU for created and deleted entries
+   */
+  async handleInventoryMessage(type, inventoryEntryId, messageData) {
+    try {
+      switch (type) {
+        case 'InventoryEntryCreated':
+        case 'InventoryEntryQuantitySet':
+        case 'InventoryEntryDeleted': {
+          const sku = messageData.inventoryEntry?.sku ||
+                      messageData.sku ||
+                      await this.productSyncService.getInventoryEntrySku(inventoryEntryId);
+
+          const productId = sku ? await this.productSyncService.findProductIdBySku(sku) : null;
+          if (!productId) {
+            console.log(`⚠️ No product found for SKU ${sku} - ignoring ${type}`);
+            return {
+              success: true,
+              action: 'ignored',
+              message: `No product found for SKU ${sku}`,
+              sku: sku
+            };
+          }
+
+          return await this.ignoreIfOutsideStore(type, productId, async () => {
+            console.log(`📦 Updating inventory of SKU ${sku} (product ${productId}) in Vertex AI (${type} event)`);
+            const inventoryResult = await this.productSyncService.syncInventory(productId, sku, { setTime: messageData.createdAt });
+            console.log(`✅ Inventory of SKU ${sku} updated in Vertex AI successfully`);
+            return {
+              ...inventoryResult,
+              action: 'inventory-updated',
+              sku: sku,
+              message: `Inventory of SKU ${sku} updated in Vertex AI (${type})`
+            };
+          });
+        }
+
+        default:
+          console.log(`⚠️ Unhandled inventory message type: ${type} for inventory entry ${inventoryEntryId}`);
+          return {
+            success: true,
+            action: 'ignored',
+            message: `Unhandled inventory message type: ${type}`,
+            inventoryEntryId: inventoryEntryId
+          };
+      }
+    } catch (error) {
+      console.error(`❌ Failed to process ${type} for inventory entry ${inventoryEntryId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Runs a sync and returns an "ignored" result instead when store scoping is enabled and the
+   * product is not in the store; the sync's own product fetch finds that out, so there is no extra lookup
+   * @param {Function} sync - Processes the message
+   * @returns {Promise<Object>} The sync's result, or the ignored result
+   */
+  async ignoreIfOutsideStore(type, productId, sync) {
+    try {
+      return await sync();
+    } catch (error) {
+      if (!(error instanceof ProductNotInStoreError)) {
+        throw error;
+      }
+    }
+
+    console.log(`⚠️ Product ${productId} is not part of store ${this.storeKey} - ignoring ${type}`);
+    return {
+      success: true,
+      action: 'ignored',
+      message: `Product ${productId} is not part of store ${this.storeKey}`,
+      productId: productId
+    };
+  }
+
+  getBranchLabel(staged) {
+    return staged ? 'Vertex AI preview branch' : 'Vertex AI';
+  }
 
   extractProductIdFromMessage(message) {
     // Try to extract product ID from various message formats
@@ -52,7 +52,7 @@ const commercetoolsClient = createClient({
         clientId: process.env.CTP_CLIENT_ID,
         clientSecret: process.env.CTP_CLIENT_SECRET,
       },
-      scopes: [`manage_project:${process.env.CTP_PROJECT_KEY}`],
+      scopes: [process.env.CTP_SCOPE || `manage_project:${process.env.CTP_PROJECT_KEY}`],
     }),
     createHttpMiddleware({ host: getCommercetoolsHost() }),
     createUserAgentMiddleware(),
@@ -67,6 +67,8 @@ const buildVertexConfig = () => ({
   LOCATION: process.env.VERTEX_LOCATION || 'global',
   CATALOG_ID: process.env.VERTEX_CATALOG_ID || 'default_catalog',
   BRANCH_ID: process.env.VERTEX_BRANCH_ID || '0',
+  STAGED_BRANCH_ID: process.env.VERTEX_STAGED_BRANCH_ID,
+  VARIANT_MODE: process.env.VERTEX_VARIANT_MODE,
   CREDENTIALS: {
     type: process.env.VERTEX_SERVICE_ACCOUNT_TYPE || 'service_account',
     project_id: process.env.VERTEX_SERVICE_ACCOUNT_PROJECT_ID || 'whitecap-us',
@@ -95,7 +97,9 @@ app.get('/health', (req, res) => {
     status: 'OK', 
     timestamp: new Date().toISOString(),
     service: 'incremental-updater',
-    storeKey: process.env.CTP_STORE_KEY
+    storeKey: process.env.CTP_STORE_KEY,
+    storeScoped: process.env.CTP_STORE_SCOPED === 'true',
+    stagedBranchId: vertexService.stagedBranchId
   });
 });
 
@@ -0,0 +1,137 @@
+/**
+ * Field mapper - Applies the declarative field mapping rules (see config/field-mapping) to a Vertex product
+ *
+ * Source values are resolved for the target locale: attributes go through the attribute
+ * converter first, so enums yield their label and localized values the locale's text.
+ * Native Vertex fields are appended to (gtin is replaced) and checked against Vertex's enum
+ * values and limits; attributes.<name> targets replace an attribute of the same name.
+ */
+
+const { toVertexAttribute } = require('./attribute-converter');
+const { ATTRIBUTE_PREFIX } = require('../config/field-mapping');
+const { VERTEX_FIELDS, normalizeFieldValues } = require('./vertex-fields');
+
+/**
+ * Resolves a source path to a list of values for a variant of the product
+ */
+function resolveSource(source, productData, variant, locale) {
+  const current = productData.masterData?.current;
+  let values;
+
+  if (source.startsWith(ATTRIBUTE_PREFIX)) {
+    const attribute = variant?.attributes?.find(attr => attr.name === source.slice(ATTRIBUTE_PREFIX.length));
+    const vertexAttribute = attribute ? toVertexAttribute(attribute, locale) : null;
+    values = vertexAttribute?.numbers || vertexAttribute?.text || [];
+  } else {
+    switch (source) {
+      case 'id': values = [productData.id]; break;
+      case 'key': values = [productData.key]; break;
+      case 'sku': values = [variant?.sku]; break;
+      case 'productType': values = [productData.productType]; break;
+      case 'name': values = [current?.localizedName?.[locale] || current?.name]; break;
+      case 'description': values = [current?.localizedDescription?.[locale] || current?.description]; break;
+      case 'slug': values = [current?.localizedSlug?.[locale]]; break;
+      case 'categories': values = (current?.categories || []).map(cat => cat.localizedName?.[locale] || cat.name); break;
+      case 'categoryPaths': values = (current?.categories || []).map(cat => cat.localizedPath?.[locale] || cat.path); break;
+      default: values = [];
+    }
+  }
+
+  return values.filter(value => value !== undefined && value !== null && value !== '');
+}
+
+/**
+ * Applies one transform to a list of values
+ */
+function applyTransform(values, transform) {
+  if (transform === 'trim') return values.map(value => String(value).trim()).filter(Boolean);
+  if (transform === 'lowercase') return values.map(value => String(value).toLowerCase());
+  if (transform === 'uppercase') return values.map(value => String(value).toUpperCase());
+  if (transform === 'number') return values.map(value => Number(value)).filter(value => !Number.isNaN(value));
+
+  if ('split' in transform) {
+    return values.flatMap(value => String(value).split(transform.split).map(part => part.trim()).filter(Boolean));
+  }
+  if ('join' in transform) {
+    return values.length > 0 ? [values.join(transform.join)] : [];
+  }
+  if ('lookup' in transform) {
+    // Values without an entry in the table are kept unchanged
+    return values.map(value => transform.lookup[String(value)] ?? value);
+  }
+  if ('divide' in transform) {
+    return values.map(value => Number(value) / transform.divide).filter(value => !Number.isNaN(value));
+  }
+
+  return values;
+}
+
+/**
+ * Evaluates a "when" condition; values are compared as strings
+ */
+function matchesCondition(condition, productData, variant, locale) {
+  const values = resolveSource(condition.source, productData, variant, locale).map(value => String(value));
+
+  if ('exists' in condition) return (values.length > 0) === condition.exists;
+  if ('in' in condition) return values.some(value => condition.in.map(String).includes(value));
+  return values.includes(String(condition.equals));
+}
+
+/**
+ * Applies field mapping rules to a Vertex product (in place)
+ * @param {Object} product - Vertex product built by ProductMapper
+ * @param {Array} rules - Validated rules from getFieldMapping
+ * @param {Object} productData - HybridService product
+ * @param {Object} variant - Variant the Vertex product is built from
+ * @param {string} locale - Target locale
+ * @returns {Object} The product
+ */
+function applyFieldMapping(product, rules, productData, variant, locale) {
+  rules.forEach(rule => {
+    if (rule.when && !matchesCondition(rule.when, productData, variant, locale)) {
+      return;
+    }
+
+    let values = rule.source ? resolveSource(rule.source, productData, variant, locale) : [];
+    values = (rule.transforms || []).reduce(applyTransform, values);
+    if (values.length === 0 && rule.default !== undefined) {
+      values = [].concat(rule.default);
+    }
+    if (values.length === 0) {
+      return;
+    }
+
+    if (rule.target.startsWith(ATTRIBUTE_PREFIX)) {
+      const name = rule.target.slice(ATTRIBUTE_PREFIX.length);
+      const isNumeric = values.every(value => typeof value === 'number');
+      product.attributes[name] = isNumeric
+        // Vertex AI only allows text attributes to be searchable
+        ? { numbers: values, searchable: false, indexable: rule.indexable ?? true }
+        : { text: values.map(value => String(value)), searchable: rule.searchable ?? true, indexable: rule.indexable ?? true };
+      return;
+    }
+
+    // Nested fields like colorInfo.colorFamilies live in an object on the product
+    const [field, subField] = rule.target.split('.');
+    const parent = subField ? { ...product[field] } : product;
+    const key = subField || field;
+
+    if (VERTEX_FIELDS[rule.target].single) {
+      const [value] = normalizeFieldValues(rule.target, values, productData.id);
+      if (value === undefined) return;
+      parent[key] = value;
+    } else {
+      const merged = normalizeFieldValues(rule.target, [...(parent[key] || []), ...values], productData.id);
+      if (merged.length === 0) return;
+      parent[key] = merged;
+    }
+
+    if (subField) {
+      product[field] = parent;
+    }
+  });
+
+  return product;
+}
+
+module.exports = { applyFieldMapping };
@@ -1,5 +1,5 @@
 // Post-deploy script for commercetools Connect
-// This script sets up subscriptions for product events
+// This script sets up subscriptions for product and inventory events
 
 const { createClient } = require('@commercetools/sdk-client');
 const { createAuthMiddlewareForClientCredentialsFlow } = require('@commercetools/sdk-middleware-auth');
@@ -67,7 +67,18 @@ async function setupSubscriptions(commercetoolsClient) {
             'ProductPriceChanged',
             'ProductPriceRemoved',
             'ProductPriceAdded',
-            'ProductSlugChanged'
+            'ProductSlugChanged',
+            'ProductAddedToCategory',
+            'ProductRemovedFromCategory',
+            'ProductImageAdded'
+          ]
+        },
+        {
+          resourceTypeId: 'inventory-entry',
+          types: [
+            'InventoryEntryCreated',
+            'InventoryEntryQuantitySet',
+            'InventoryEntryDeleted'
           ]
         }
       ],
@@ -83,6 +94,7 @@ async function setupSubscriptions(commercetoolsClient) {
     console.log(`   Project ID: ${subscriptionConfig.destination.projectId}`);
     console.log(`   Topic: ${subscriptionConfig.destination.topic}`);
     console.log(`   Product Events: ${subscriptionConfig.messages[0].types.length} types`);
+    console.log(`   Inventory Events: ${subscriptionConfig.messages[1].types.join(', ')}`);
     console.log(`   Format: ${subscriptionConfig.format.type}`);
     
     console.log('📝 Note: Please configure this subscription manually in commercetools console');
@@ -0,0 +1,206 @@
+/**
+ * HTTP client for the commercetools API - Used by every HybridService call
+ * Adds keep-alive pooling, connect/read timeouts, token refresh on 401 and
+ * exponential backoff with jitter for throttled or unavailable responses
+ */
+
+const https = require('https');
+const { defaultTokenManager } = require('./token-manager');
+const { applyTimeouts, getHttpTimeouts, readIntSetting } = require('./http-timeouts');
+
+const RETRYABLE_STATUS_CODES = [429, 502, 503, 504];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+// One connection pool per process, shared by every client instance
+const keepAliveAgent = new https.Agent({ keepAlive: true, maxSockets: 50 });
+
+/**
+ * Error raised for failed commercetools requests
+ * Carries the HTTP status, the commercetools correlation id and the request path
+ */
+class CommercetoolsApiError extends Error {
+  constructor(message, { statusCode, correlationId, path, body, code, graphqlErrors } = {}) {
+    super(message);
+    this.name = 'CommercetoolsApiError';
+    this.statusCode = statusCode;
+    this.correlationId = correlationId;
+    this.path = path;
+    this.body = body;
+    this.code = code;
+    this.graphqlErrors = graphqlErrors;
+  }
+}
+
+class CommercetoolsHttpClient {
+  constructor(options = {}) {
+    this.apiHost = options.apiHost;
+    this.projectKey = options.projectKey || process.env.CTP_PROJECT_KEY;
+    this.tokenManager = options.tokenManager || defaultTokenManager;
+    this.agent = options.agent || keepAliveAgent;
+    // 0 disables a timeout
+    const timeouts = getHttpTimeouts();
+    this.connectTimeoutMs = options.connectTimeoutMs ?? timeouts.connectTimeoutMs;
+    this.readTimeoutMs = options.readTimeoutMs ?? timeouts.readTimeoutMs;
+    this.maxRetries = options.maxRetries ?? readIntSetting(process.env.CTP_HTTP_MAX_RETRIES, 5);
+    this.baseDelayMs = options.baseDelayMs || 500;
+    this.maxDelayMs = options.maxDelayMs || 30000;
+  }
+
+  /**
+   * Sends a request to the project API and returns the parsed JSON response
+   * @param {Object} request - Request description
+   * @param {string} [request.method] - HTTP method
+   * @param {string} request.path - Path relative to the project, e.g. /graphql
+   * @param {Object} [request.body] - JSON body
+   * @returns {Promise<Object>} Response with statusCode, headers, correlationId and parsed body
+   */
+  async request({ method = 'GET', path, body = null }) {
+    const fullPath = `/${this.projectKey}${path}`;
+    const payload = body ? JSON.stringify(body) : null;
+    let tokenRefreshed = false;
+    let attempt = 0;
+
+    while (true) {
+      const accessToken = await this.tokenManager.getAccessToken();
+      let response;
+
+      try {
+        response = await this.send(method, fullPath, payload, accessToken);
+      } catch (error) {
+        if (attempt < this.maxRetries && RETRYABLE_NETWORK_CODES.includes(error.code)) {
+          const delay = this.getBackoffDelay(attempt++);
+          console.warn(`⚠️ ${method} ${path} failed (${error.code}), retrying in ${delay}ms`);
+          await this.sleep(delay);
+          continue;
+        }
+        throw new CommercetoolsApiError(`Request failed: ${error.message}`, { path: fullPath, code: error.code });
+      }
+
+      const correlationId = response.headers['x-correlation-id'];
+
+      // Expired or revoked token - fetch a new one and try again once
+      if (response.statusCode === 401 && !tokenRefreshed) {
+        this.tokenManager.invalidate(accessToken);
+        tokenRefreshed = true;
+        continue;
+      }
+
+      if (RETRYABLE_STATUS_CODES.includes(response.statusCode) && attempt < this.maxRetries) {
+        const delay = this.getRetryAfterDelay(response.headers['retry-after']) ?? this.getBackoffDelay(attempt);
+        attempt++;
+        console.warn(`⚠️ ${method} ${path} returned HTTP ${response.statusCode} (correlation id ${correlationId}), retrying in ${delay}ms`);
+        await this.sleep(delay);
+        continue;
+      }
+
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        throw new CommercetoolsApiError(`HTTP ${response.statusCode} for ${method} ${fullPath}: ${response.body}`, {
+          statusCode: response.statusCode,
+          correlationId,
+          path: fullPath,
+          body: response.body
+        });
+      }
+
+      let parsedBody;
+      try {
+        parsedBody = JSON.parse(response.body);
+      } catch (parseError) {
+        throw new CommercetoolsApiError(`Invalid JSON response for ${method} ${fullPath}: ${parseError.message}`, {
+          statusCode: response.statusCode,
+          correlationId,
+          path: fullPath,
+          body: response.body
+        });
+      }
+
+      return {
+        statusCode: response.statusCode,
+        headers: response.headers,
+        correlationId,
+        body: parsedBody
+      };
+    }
+  }
+
+  /**
+   * Sends a single HTTP request with connect and read timeouts
+   */
+  send(method, path, payload, accessToken) {
+    return new Promise((resolve, reject) => {
+      const headers = {
+        'Authorization': `Bearer ${accessToken}`,
+        'User-Agent': 'Commercetools-Hybrid-Service/1.0',
+        'Accept': 'application/json'
+      };
+      if (payload) {
+        headers['Content-Type'] = 'application/json';
+        headers['Content-Length'] = Buffer.byteLength(payload);
+      }
+
+      const req = https.request({
+        hostname: this.apiHost.replace('https://', ''),
+        port: 443,
+        path,
+        method,
+        headers,
+        agent: this.agent
+      }, (res) => {
+        let data = '';
+
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        res.on('end', () => {
+          resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
+        });
+
+        res.on('error', reject);
+      });
+
+      applyTimeouts(req, { connectTimeoutMs: this.connectTimeoutMs, readTimeoutMs: this.readTimeoutMs });
+      req.on('error', reject);
+
+      if (payload) {
+        req.write(payload);
+      }
+      req.end();
+    });
+  }
+
+  /**
+   * Exponential backoff with full jitter
+   */
+  getBackoffDelay(attempt) {
+    const cap = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+    return Math.round(Math.random() * cap);
+  }
+
+  /**
+   * Parses a Retry-After header (seconds or HTTP date) into a delay in milliseconds
+   * @returns {number|null} Delay, or null when the header is missing or invalid
+   */
+  getRetryAfterDelay(retryAfter) {
+    if (!retryAfter) return null;
+
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return Math.min(Math.max(seconds, 0) * 1000, this.maxDelayMs);
+    }
+
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.min(Math.max(date - Date.now(), 0), this.maxDelayMs);
+    }
+
+    return null;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = { CommercetoolsHttpClient, CommercetoolsApiError };
@@ -1,4 +1,7 @@
-const { HybridService } = require('./hybrid-service');
+const { HybridService, ProductNotInStoreError } = require('./hybrid-service');
+
+// Products outside the store are expected and reported as ignored by the message handler
+const isUnexpected = error => !(error instanceof ProductNotInStoreError);
 
 class ProductSyncService {
   constructor(commercetoolsClient, vertexService) {
@@ -7,34 +10,94 @@ class ProductSyncService {
     this.hybridService = new HybridService();
   }
 
-  async syncProduct(productId, action = 'upsert') {
+  /**
+   * Syncs a product to the live Vertex branch, or with staged: true its staged data to the preview branch
+   */
+  async syncProduct(productId, action = 'upsert', { staged = false } = {}) {
     try {
       if (action === 'delete') {
-        return await this.vertexService.deleteProduct(productId);
+        return await this.vertexService.deleteProduct(productId, { staged });
       } else {
-        const product = await this.fetchProductById(productId);
-        return await this.vertexService.upsertProduct(product);
+        const product = await this.fetchProductById(productId, { staged });
+        const result = await this.vertexService.upsertProduct(product, { staged });
+        // Variants whose REST availability could not be matched were exported without it
+        if (product.variantMismatches.length > 0) {
+          console.warn(`⚠️ Product ${productId}: ${product.variantMismatches.length} variants could not be matched between GraphQL and REST`);
+        }
+        return { ...result, variantMismatches: product.variantMismatches };
       }
     } catch (error) {
-      console.error(`❌ Failed to sync product ${productId}:`, error.message);
+      if (isUnexpected(error)) console.error(`❌ Failed to sync product ${productId}:`, error.message);
       throw error;
     }
   }
 
-  // Store-related methods removed since stores are not used
-  // Focus on core product sync functionality only
+  /**
+   * Updates only the Vertex fields affected by a change (price, slug, categories or images)
+   * with products.patch instead of a full import
+   */
+  async patchProduct(productId, change, { staged = false } = {}) {
+    try {
+      const product = await this.fetchProductById(productId, { staged });
+      const updateMask = this.vertexService.productMapper.getUpdateMask(change);
+      const result = await this.vertexService.patchProduct(product, updateMask, { staged });
+      return { ...result, updateMask, variantMismatches: product.variantMismatches };
+    } catch (error) {
+      if (isUnexpected(error)) console.error(`❌ Failed to patch ${change} of product ${productId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Pushes a product's current availability to Vertex AI with setInventory (both branches in staged mode)
+   * @param {string} productId - Product with the SKU, see findProductIdBySku
+   * @param {string} sku - SKU whose inventory changed; limits the VARIANT products updated in variants mode
+   * @param {Object} [options]
+   * @param {string} [options.setTime] - When the inventory changed, so Vertex AI ignores older updates
+   */
+  async syncInventory(productId, sku, { setTime } = {}) {
+    try {
+      const product = await this.fetchProductById(productId);
+      const result = await this.vertexService.setInventory(product, { sku, setTime });
+
+      if (this.isStagedModeEnabled()) {
+        const stagedProduct = await this.fetchProductById(productId, { staged: true });
+        await this.vertexService.setInventory(stagedProduct, { sku, setTime, staged: true });
+      }
+
+      return result;
+    } catch (error) {
+      if (isUnexpected(error)) console.error(`❌ Failed to sync inventory of SKU ${sku}:`, error.message);
+      throw error;
+    }
+  }
+
+  async findProductIdBySku(sku) {
+    return await this.hybridService.findProductIdBySku(sku);
+  }
+
+  async getInventoryEntrySku(inventoryEntryId) {
+    return await this.hybridService.getInventoryEntrySku(inventoryEntryId);
+  }
+
+  /**
+   * Checks whether staged product data is synced to a preview branch (VERTEX_STAGED_BRANCH_ID)
+   */
+  isStagedModeEnabled() {
+    return this.vertexService.isStagedModeEnabled();
+  }
 
-  async fetchProductById(productId) {
+  async fetchProductById(productId, { staged = false } = {}) {
     try {
       console.log(`🔍 Fetching product ${productId} using Hybrid Service (GraphQL + REST)...`);
       
       // Use Hybrid service to fetch product with names instead of IDs and real availability data
-      const product = await this.hybridService.fetchProductById(productId);
+      const product = await this.hybridService.fetchProductById(productId, { staged });
       
       console.log(`✅ Successfully fetched product ${productId} via Hybrid Service`);
       return product;
     } catch (error) {
-      console.error(`❌ Failed to fetch product ${productId} via Hybrid Service:`, error);
+      if (isUnexpected(error)) console.error(`❌ Failed to fetch product ${productId} via Hybrid Service:`, error);
       throw error;
     }
   }
@@ -0,0 +1,146 @@
+/**
+ * Token Manager for commercetools - Caches client-credentials tokens
+ * Shares one token (and one in-flight refresh) between all callers of the app
+ */
+
+const https = require('https');
+const { applyTimeouts, getHttpTimeouts } = require('./http-timeouts');
+
+// Refresh the token this long before commercetools says it expires (at most half its lifetime)
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+class TokenManager {
+  constructor(options = {}) {
+    this.authHost = options.authHost || this.getAuthHost();
+    this.expiryMarginMs = options.expiryMarginMs ?? EXPIRY_MARGIN_MS;
+    this.timeouts = options.timeouts || getHttpTimeouts();
+    this.token = null;
+    this.expiresAt = 0;
+    this.pendingRefresh = null;
+  }
+
+  getAuthHost() {
+    switch (process.env.CTP_REGION) {
+      case 'gcp-europe-west1':
+      case 'europe-west1':
+        return 'https://auth.europe-west1.gcp.commercetools.com';
+      case 'gcp-us-central1':
+      case 'us-central1':
+        return 'https://auth.us-central1.gcp.commercetools.com';
+      default:
+        return 'https://auth.commercetools.com';
+    }
+  }
+
+  /**
+   * Gets the scope to request - CTP_SCOPE if configured, manage_project otherwise
+   */
+  getScope() {
+    return process.env.CTP_SCOPE || `manage_project:${process.env.CTP_PROJECT_KEY}`;
+  }
+
+  /**
+   * Returns a cached access token, refreshing it when it is about to expire
+   * Concurrent callers share a single in-flight refresh
+   */
+  async getAccessToken() {
+    if (this.token && Date.now() < this.expiresAt) {
+      return this.token;
+    }
+
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = this.requestToken()
+        .then((tokenData) => {
+          // Short-lived tokens would otherwise already count as expired and be fetched on every call
+          const lifetimeMs = (tokenData.expires_in || 0) * 1000;
+          this.token = tokenData.access_token;
+          this.expiresAt = Date.now() + lifetimeMs - Math.min(this.expiryMarginMs, lifetimeMs / 2);
+          return this.token;
+        })
+        .finally(() => {
+          this.pendingRefresh = null;
+        });
+    }
+
+    return this.pendingRefresh;
+  }
+
+  /**
+   * Drops the cached token so the next caller fetches a new one
+   * Only clears the token that was rejected, in case another caller already refreshed it
+   */
+  invalidate(rejectedToken) {
+    if (!rejectedToken || rejectedToken === this.token) {
+      this.token = null;
+      this.expiresAt = 0;
+    }
+  }
+
+  /**
+   * Requests a new token from the commercetools OAuth endpoint
+   */
+  requestToken() {
+    return new Promise((resolve, reject) => {
+      // Validate required environment variables
+      if (!process.env.CTP_CLIENT_ID || !process.env.CTP_CLIENT_SECRET || !process.env.CTP_PROJECT_KEY) {
+        reject(new Error('Missing required environment variables: CTP_CLIENT_ID, CTP_CLIENT_SECRET, or CTP_PROJECT_KEY'));
+        return;
+      }
+
+      const postData = `grant_type=client_credentials&scope=${encodeURIComponent(this.getScope())}`;
+
+      // Create proper Base64 encoding for Basic Auth
+      const credentials = Buffer.from(`${process.env.CTP_CLIENT_ID}:${process.env.CTP_CLIENT_SECRET}`).toString('base64');
+
+      const options = {
+        hostname: this.authHost.replace('https://', ''),
+        port: 443,
+        path: '/oauth/token',
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Content-Length': Buffer.byteLength(postData),
+          'Authorization': `Basic ${credentials}`,
+          'User-Agent': 'Commercetools-Hybrid-Service/1.0'
+        }
+      };
+
+      const req = https.request(options, (res) => {
+        let data = '';
+
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        res.on('end', () => {
+          if (res.statusCode === 200) {
+            try {
+              resolve(JSON.parse(data));
+            } catch (parseError) {
+              reject(new Error(`Failed to parse token response: ${parseError.message}`));
+            }
+          } else {
+            const error = new Error(`HTTP ${res.statusCode}: ${data}`);
+            error.statusCode = res.statusCode;
+            reject(error);
+          }
+        });
+      });
+
+      req.on('error', (error) => {
+        reject(error);
+      });
+
+      // A hung auth call would block every caller waiting on the shared refresh
+      applyTimeouts(req, this.timeouts);
+
+      req.write(postData);
+      req.end();
+    });
+  }
+}
+
+// One token manager per process, shared by every HybridService instance
+const defaultTokenManager = new TokenManager();
+
+module.exports = { TokenManager, defaultTokenManager };
@@ -1,4 +1,21 @@
 const { GoogleAuth } = require('google-auth-library');
+const { getLocaleConfig, getLocaleTargets } = require('../config/locales');
+const { getAttributeSettingsOverrides } = require('../config/attribute-settings');
+const { getProductUriTemplate } = require('../config/product-uri');
+const { getFieldMapping } = require('../config/field-mapping');
+const { getLocalInventoryConfig } = require('../config/local-inventory');
+const { getStockConfig } = require('../config/stock');
+const { getPriceInfoConfig } = require('../config/price-info');
+const { ProductMapper } = require('../mappers/product-mapper');
+const { mapWithConcurrency } = require('./concurrency');
+
+const VARIANT_MODES = ['primary', 'variants'];
+
+// Vertex AI accepts at most 100 products per inline import
+const MAX_INLINE_IMPORT_PRODUCTS = 100;
+
+// Per-product Vertex calls (local inventories) that run at the same time
+const VERTEX_CONCURRENCY = 5;
 
 class VertexService {
   constructor(config) {
@@ -79,6 +96,95 @@ class VertexService {
       this.catalogId = 'default_catalog';
       this.branchId = '0';
     }
+
+    // Outside the try block on purpose: invalid locale settings must fail at startup
+    this.localeConfig = getLocaleConfig();
+    this.localeTargets = getLocaleTargets(this.localeConfig, { catalogId: this.catalogId, branchId: this.branchId });
+
+    // Staged (unpublished) product data goes to a separate preview branch when one is configured
+    this.stagedBranchId = this.config.STAGED_BRANCH_ID || null;
+    this.stagedTargets = this.stagedBranchId ? this.getStagedTargets() : null;
+
+    // primary: one Vertex product per commercetools product (built from the master variant)
+    // variants: additionally one VARIANT product per commercetools variant
+    this.variantMode = this.config.VARIANT_MODE || 'primary';
+    if (!VARIANT_MODES.includes(this.variantMode)) {
+      throw new Error(`Invalid VERTEX_VARIANT_MODE "${this.variantMode}", expected one of ${VARIANT_MODES.join(', ')}`);
+    }
+
+    // Shared with the other app, so both write identical Vertex products
+    this.productMapper = new ProductMapper({
+      localeConfig: this.localeConfig,
+      productUriTemplate: getProductUriTemplate(),
+      attributeSettingsOverrides: getAttributeSettingsOverrides(),
+      variantMode: this.variantMode,
+      fieldMapping: getFieldMapping(),
+      localInventory: getLocalInventoryConfig(),
+      stock: getStockConfig(),
+      priceInfo: getPriceInfoConfig()
+    });
+  }
+
+  /**
+   * Builds the locale targets for the staged branch
+   * In branches locale mode every locale already has its own branch, so there is no room for a preview branch
+   */
+  getStagedTargets() {
+    if (this.localeConfig.mode === 'branches') {
+      throw new Error('VERTEX_STAGED_BRANCH_ID cannot be combined with VERTEX_LOCALE_MODE=branches');
+    }
+    if (this.stagedBranchId === this.branchId) {
+      throw new Error(`VERTEX_STAGED_BRANCH_ID must differ from the live branch ${this.branchId}`);
+    }
+
+    return this.localeTargets.map(target => ({ ...target, branchId: this.stagedBranchId }));
+  }
+
+  isStagedModeEnabled() {
+    return this.stagedTargets !== null;
+  }
+
+  /**
+   * Gets the locale targets of the live or the staged branch
+   */
+  getTargets(staged = false) {
+    if (!staged) {
+      return this.localeTargets;
+    }
+    if (!this.stagedTargets) {
+      throw new Error('Staged sync requested but VERTEX_STAGED_BRANCH_ID is not configured');
+    }
+    return this.stagedTargets;
+  }
+
+  /**
+   * Gets the Vertex branch path for a locale target
+   */
+  getBranchPath(target) {
+    return `projects/${this.projectId}/locations/${this.location}/catalogs/${target.catalogId}/branches/${target.branchId}`;
+  }
+
+  /**
+   * Runs an operation against every locale target (a single one in attributes mode)
+   * @param {Function} operation - Called with each target
+   * @param {Array} [targets] - Targets to run against, the live branch targets by default
+   * @returns {Promise<Object>} The operation result, or per-locale results for several targets
+   */
+  async forEachLocaleTarget(operation, targets = this.localeTargets) {
+    const results = [];
+    for (const target of targets) {
+      results.push({ locale: target.locale, ...(await operation(target)) });
+    }
+
+    if (results.length === 1) {
+      return results[0];
+    }
+
+    return {
+      success: true,
+      localeResults: results,
+      timestamp: new Date().toISOString()
+    };
   }
 
   async getAccessToken() {
@@ -94,40 +200,34 @@ class VertexService {
     return `${this.retailApiBase}/${this.apiVersion}/${endpoint}`;
   }
 
-  /**
-   * Generate realistic random stock quantity
-   */
-  generateRandomStock() {
-    const scenario = Math.random();
-    
-    if (scenario < 0.1) {
-      return Math.floor(Math.random() * 6);
-    } else if (scenario < 0.3) {
-      return Math.floor(Math.random() * 20) + 6;
-    } else if (scenario < 0.6) {
-      return Math.floor(Math.random() * 75) + 26;
-    } else if (scenario < 0.85) {
-      return Math.floor(Math.random() * 400) + 101;
-    } else {
-      return Math.floor(Math.random() * 1500) + 501;
-    }
-  }
-
-  async upsertProduct(productData) {
+  async upsertProduct(productData, { staged = false } = {}) {
     try {
       // Upserting product to Vertex AI
       
-      // Transform commercetools product data to Vertex AI Retail format
-      const vertexProduct = this.transformToRetailProduct(productData);
-      
       // Check if Vertex AI client is available
       if (!this.auth) {
         console.warn('VertexService: Google Auth not available, using mock implementation');
-        return await this.performVertexUpsert(vertexProduct);
+        return await this.performVertexUpsert(this.transformToRetailProduct(productData));
       }
       
-      // Import product to Vertex AI
-      const result = await this.importProduct(vertexProduct);
+      // Transform and import the product once per locale target
+      const result = await this.forEachLocaleTarget(async target => {
+        if (this.variantMode !== 'variants') {
+          const importResult = await this.importProduct(this.transformToRetailProduct(productData, target.locale), target);
+          return { ...importResult, localInventories: await this.syncLocalInventories([productData], target) };
+        }
+
+        // PRIMARY product plus its variants in one import, then drop variants removed in commercetools
+        const vertexProducts = this.transformToRetailProducts(productData, target.locale);
+        const importResult = await this.importProducts(vertexProducts, target);
+        const variantIds = vertexProducts.slice(1).map(product => product.id);
+        return {
+          ...importResult,
+          productId: productData.id,
+          deletedVariants: await this.deleteStaleVariants(productData.id, variantIds, target),
+          localInventories: await this.syncLocalInventories([productData], target)
+        };
+      }, this.getTargets(staged));
       
               // Successfully upserted product
       return result;
@@ -137,7 +237,7 @@ class VertexService {
     }
   }
 
-  async deleteProduct(productId) {
+  async deleteProduct(productId, { staged = false } = {}) {
     try {
       // Check if Vertex AI client is available
       if (!this.auth) {
@@ -146,49 +246,58 @@ class VertexService {
       }
       
       // Delete product from Vertex AI
-      return await this.deleteProductFromVertex(productId);
+      return await this.forEachLocaleTarget(async target => {
+        if (this.variantMode === 'variants') {
+          await this.deleteStaleVariants(productId, [], target);
+        }
+        return this.deleteProductFromVertex(productId, target);
+      }, this.getTargets(staged));
     } catch (error) {
       console.error(`❌ Failed to delete product ${productId} from Vertex AI:`, error.message);
       throw error;
     }
   }
 
-  async batchUpsertProducts(productsData) {
+  async batchUpsertProducts(productsData, { staged = false } = {}) {
     try {
       // Batch upserting products to Vertex AI
       
-      const vertexProducts = productsData.map(product => this.transformToRetailProduct(product));
-      
       // Check if Vertex AI client is available
       if (!this.auth) {
         console.warn('VertexService: Google Auth not available, using mock implementation');
-        return await this.performBatchVertexUpsert(vertexProducts);
+        return await this.performBatchVertexUpsert(productsData.map(product => this.transformToRetailProduct(product)));
       }
       
-      // Import products in batches
-      const batchSize = 100;
-      const batches = [];
-      for (let i = 0; i < vertexProducts.length; i += batchSize) {
-        batches.push(vertexProducts.slice(i, i + batchSize));
-      }
-
       const results = [];
-      for (let i = 0; i < batches.length; i++) {
-        const batch = batches[i];
-        // Processing batch
-        
-        try {
-          const result = await this.importProducts(batch);
-          results.push(result);
+      for (const target of this.getTargets(staged)) {
+        const vertexProducts = productsData.flatMap(product => this.transformToRetailProducts(product, target.locale));
+
+        // Import products in batches
+        const batchSize = MAX_INLINE_IMPORT_PRODUCTS;
+        const batches = [];
+        for (let i = 0; i < vertexProducts.length; i += batchSize) {
+          batches.push(vertexProducts.slice(i, i + batchSize));
+        }
+
+        for (let i = 0; i < batches.length; i++) {
+          const batch = batches[i];
+          // Processing batch
           
-          // Add delay between batches to avoid rate limiting
-          if (i < batches.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, 2000));
+          try {
+            const result = await this.importProducts(batch, target);
+            results.push({ locale: target.locale, ...result });
+            
+            // Add delay between batches to avoid rate limiting
+            if (i < batches.length - 1) {
+              await new Promise(resolve => setTimeout(resolve, 2000));
+            }
+          } catch (error) {
+            console.error(`Failed to process batch ${i + 1} (${target.locale}):`, error);
+            results.push({ error: error.message, batchIndex: i, locale: target.locale });
           }
-        } catch (error) {
-          console.error(`Failed to process batch ${i + 1}:`, error);
-          results.push({ error: error.message, batchIndex: i });
         }
+
+        await this.syncLocalInventories(productsData, target);
       }
       
               // Successfully batch upserted products
@@ -204,330 +313,96 @@ class VertexService {
     }
   }
 
-  transformToRetailProduct(productData) {
-    console.log('🔄 TRANSFORMING PRODUCT TO VERTEX AI FORMAT:');
-    console.log('Input Product ID:', productData.id);
-    
-    const productId = productData.id || productData.key || '';
-    
-    // Extract product name from Commercetools structure (GraphQL format - simple string)
-    const productName = productData.masterData?.current?.name || 
-                       productData.name || 
-                       productData.title || 
-                       'No name';
-
-    console.log('📋 Extracted Product Name:', productName);
-
-    // Extract description from Commercetools structure (GraphQL format - simple string)
-    const productDescription = productData.masterData?.current?.description || 
-                             productData.description || 
-                             productData.metaDescription || 
-                             '';
-
-    console.log('📋 Extracted Description:', productDescription);
-
-    // Get the primary variant for SKU and other details
-    // First check masterVariant (which contains the main product variant)
-    // Then fallback to variants array if masterVariant doesn't exist
-    const primaryVariant = productData.masterData?.current?.masterVariant || 
-                          productData.masterData?.current?.variants?.[0] || 
-                          productData.variants?.[0];
-    const sku = primaryVariant?.sku || productId || 'NO-SKU';
-
-    console.log('📋 Extracted SKU:', sku);
-
-    // Extract actual pricing from Commercetools
-    const pricingInfo = this.extractPricingFromCommercetools(primaryVariant);
-    
-    console.log('📋 Extracted Pricing Info:', JSON.stringify(pricingInfo, null, 2));
-    
-    // Extract actual stock quantity from Commercetools (checking masterVariant and variants)
-    const stockQuantity = this.extractStockFromCommercetools(productData);
-    
-    console.log('📋 Extracted Stock Quantity:', stockQuantity);
-    
-    // Generate rating (this can remain random as it's not typically stored in Commercetools)
-    const ratingInfo = this.generateRating();
-
-    // Build categories array - ensure we always have at least one category
-    // Now using names instead of IDs from GraphQL
-    const categories = [];
-    if (productData.masterData?.current?.categories && productData.masterData.current.categories.length > 0) {
-      // Use category names from GraphQL (transformed from GraphQL service)
-      productData.masterData.current.categories.forEach(cat => {
-        if (cat.name) categories.push(cat.name);
-      });
-    } else if (productData.categories && productData.categories.length > 0) {
-      // Fallback to name-based categories
-      productData.categories.forEach(cat => {
-        if (cat.name) categories.push(cat.name);
-      });
-    }
-    
-    // If no categories found, use a default category
-    if (categories.length === 0) {
-      categories.push('General');
-    }
-
-    // Build custom attributes - only include non-empty values
-    const attributes = {
-      sku: {
-        text: [productId],
-        searchable: true,
-        indexable: true
-      },
-      product_id: {
-        text: [productData.id || productId],
-        searchable: true,
-        indexable: true
-      },
-      totalStock: {
-        numbers: [stockQuantity],
-        searchable: false,
-        indexable: true
+  /**
+   * Updates only some fields of a product (and its VARIANT products in variants mode) with products.patch
+   * Unlike an import this is synchronous, so there is no operation to poll
+   * @param {Object} productData - HybridService product
+   * @param {Array<string>} updateMask - Vertex fields to update, see ProductMapper.getUpdateMask
+   */
+  async patchProduct(productData, updateMask, { staged = false } = {}) {
+    try {
+      // Check if Vertex AI client is available
+      if (!this.auth) {
+        console.warn('VertexService: Google Auth not available, using mock implementation');
+        return await this.performVertexUpsert(this.transformToRetailProduct(productData));
       }
-    };
-
-    // Only add discount attributes if pricing information exists and has discount
-    if (pricingInfo && pricingInfo.originalPrice) {
-      attributes.hasDiscount = {
-        text: ['true'],
-        searchable: true,
-        indexable: true
-      };
-      
-      attributes.discountPercent = {
-        numbers: [Math.round(((pricingInfo.originalPrice - pricingInfo.price) / pricingInfo.originalPrice) * 100)],
-        searchable: false,
-        indexable: true
-      };
-    } else if (pricingInfo) {
-      attributes.hasDiscount = {
-        text: ['false'],
-        searchable: true,
-        indexable: true
-      };
-    }
-
-    // Only add brand if it exists and is not empty
-    if (productData.brand && productData.brand.trim() !== '') {
-      attributes.brand = {
-        text: [productData.brand],
-        searchable: true,
-        indexable: true
-      };
-    }
-
-    // Only add vendor if it exists and is not empty
-    if (productData.vendor && productData.vendor.trim() !== '') {
-      attributes.vendor = {
-        text: [productData.vendor],
-        searchable: true,
-        indexable: true
-      };
-    }
 
-    // Add product type as a custom attribute (using name instead of ID)
-    if (productData.productType && productData.productType.trim() !== '') {
-      attributes.product_type = {
-        text: [productData.productType],
-        searchable: true,
-        indexable: true
-      };
-    }
-
-    // Build search keywords - filter out empty strings
-    const searchKeywords = [
-      productId,
-      productData.name,
-      productData.description,
-      productData.brand,
-      ...categories
-    ].filter(keyword => keyword && keyword.trim() !== '');
-
-    if (searchKeywords.length > 0) {
-      attributes.searchKeywords = {
-        text: searchKeywords,
-        searchable: true,
-        indexable: true
-      };
+      return await this.forEachLocaleTarget(async target => {
+        const vertexProducts = this.transformToRetailProducts(productData, target.locale);
+        for (const product of vertexProducts) {
+          await this.patchProductInVertex(product, updateMask, target);
+        }
+        return {
+          success: true,
+          productId: productData.id,
+          updateMask,
+          patchedProducts: vertexProducts.length,
+          timestamp: new Date().toISOString()
+        };
+      }, this.getTargets(staged));
+    } catch (error) {
+      console.error(`❌ Failed to patch product ${productData.id} in Vertex AI:`, error.message);
+      throw error;
     }
+  }
 
-    // Add variant information if available
-    if (primaryVariant) {
-      if (primaryVariant.sku && primaryVariant.sku.trim() !== '') {
-        attributes.sku.text[0] = primaryVariant.sku;
-      }
-      
-      if (primaryVariant.attributes) {
-        primaryVariant.attributes.forEach(attr => {
-          if (attr.name && attr.value && attr.value.toString().trim() !== '') {
-            attributes[`attr_${attr.name}`] = {
-              text: [attr.value.toString()],
-              searchable: true,
-              indexable: true
-            };
-          }
-        });
+  /**
+   * Updates availability and availableQuantity with products.setInventory
+   * In variants mode only the PRIMARY product and the VARIANT product of the changed SKU are updated
+   * @param {Object} productData - HybridService product
+   * @param {Object} [options]
+   * @param {string} [options.sku] - SKU whose inventory changed
+   * @param {string} [options.setTime] - Time of the change; Vertex AI drops updates older than the last one
+   */
+  async setInventory(productData, { sku, setTime = new Date().toISOString(), staged = false } = {}) {
+    try {
+      // Check if Vertex AI client is available
+      if (!this.auth) {
+        console.warn('VertexService: Google Auth not available, using mock implementation');
+        return await this.performVertexUpsert(this.transformToRetailProduct(productData));
       }
-    }
-
-    const product = {
-      id: productId,
-      type: 'PRIMARY',
-      categories,
-      title: productName,
-      description: productDescription,
-      languageCode: 'en',
-      attributes,
-      tags: [
-        ...(productData.brand ? [productData.brand] : []),
-        ...categories,
-        ...(pricingInfo?.originalPrice ? ['On Sale'] : []),
-        stockQuantity > 0 ? 'in stock' : 'out of stock'
-      ],
-      availability: stockQuantity > 0 ? 'IN_STOCK' : 'OUT_OF_STOCK',
-      availableQuantity: stockQuantity,
-      uri: `/product/${productId}`,
-      images: primaryVariant?.images?.map(img => ({
-        uri: img.url,
-        height: img.dimensions?.h || 300,
-        width: img.dimensions?.w || 300
-      })) || productData.images?.map(img => ({
-        uri: typeof img === 'string' ? img : img.url || img.uri,
-        height: img.dimensions?.h || img.height || 300,
-        width: img.dimensions?.w || img.width || 300
-      })) || [],
-      publishTime: new Date().toISOString(),
-      rating: ratingInfo
-    };
 
-    // Only add priceInfo if pricing information exists
-    if (pricingInfo) {
-      product.priceInfo = {
-        currencyCode: pricingInfo.currencyCode,
-        price: pricingInfo.price,
-        originalPrice: pricingInfo.originalPrice || pricingInfo.price
-      };
-      console.log('📋 Added Price Info:', JSON.stringify(product.priceInfo, null, 2));
-    } else {
-      console.log('⚠️ No pricing information available');
-    }
-
-    console.log('📋 Final Product Object:', {
-      id: product.id,
-      title: product.title,
-      categories: product.categories,
-      availableQuantity: product.availableQuantity,
-      availability: product.availability,
-      priceInfo: product.priceInfo
-    });
-    console.log('✅ TRANSFORMATION COMPLETE');
-
-    return product;
-  }
-
-  extractPricingFromCommercetools(variant) {
-    // Check if variant has pricing information
-    if (variant?.prices && variant.prices.length > 0) {
-      const price = variant.prices[0];
-      
-      // Extract base price value (convert from centAmount to dollars)
-      const basePrice = price.value?.centAmount ? price.value.centAmount / 100 : 0;
-      const currencyCode = price.value?.currencyCode || 'USD';
-      
-      // Check for discounted price
-      if (price.discounted && price.discounted.value?.centAmount) {
-        const salePrice = price.discounted.value.centAmount / 100;
-        
-        return {
-          price: salePrice,
-          originalPrice: basePrice,
-          currencyCode: currencyCode
-        };
-      } else {
+      return await this.forEachLocaleTarget(async target => {
+        const vertexProducts = this.transformToRetailProducts(productData, target.locale)
+          .filter(product => product.type !== 'VARIANT' || !sku || product.id === sku);
+        const operations = [];
+        for (const product of vertexProducts) {
+          operations.push((await this.setInventoryInVertex(product, setTime, target)).name);
+        }
+        // Inventory entries may have been deleted, so places without availability are removed as well
+        operations.push(...await this.syncLocalInventories([productData], target, { time: setTime, removeUnlisted: true }));
         return {
-          price: basePrice,
-          currencyCode: currencyCode
+          success: true,
+          productId: productData.id,
+          availableQuantity: vertexProducts[0].availableQuantity,
+          operations,
+          timestamp: new Date().toISOString()
         };
-      }
+      }, this.getTargets(staged));
+    } catch (error) {
+      console.error(`❌ Failed to set inventory of product ${productData.id} in Vertex AI:`, error.message);
+      throw error;
     }
-    
-    // If no pricing information, return null to indicate no price
-    return null;
   }
 
-  extractStockFromCommercetools(productData) {
-    // First check masterVariant availability (highest priority)
-    const masterVariant = productData.masterData?.current?.masterVariant;
-    if (masterVariant) {
-      // Check direct availability data from commercetools (REST API format)
-      if (masterVariant.availability?.availableQuantity !== undefined) {
-        return masterVariant.availability.availableQuantity || 0;
-      }
-      
-      // Check for custom attributes that might contain stock information
-      if (masterVariant.attributes) {
-        const stockAttr = masterVariant.attributes.find(attr => 
-          attr.name === 'stock' || 
-          attr.name === 'quantity' || 
-          attr.name === 'availableQuantity' ||
-          attr.name === 'inventory' ||
-          attr.name === 'stockLevel' ||
-          attr.name === 'qty' ||
-          attr.name === 'qtyAvailable'
-        );
-        
-        if (stockAttr && stockAttr.value) {
-          return parseInt(stockAttr.value) || 0;
-        }
-      }
-    }
-    
-    // Then check all variants for availability
-    const variants = productData.masterData?.current?.variants || [];
-    for (const variant of variants) {
-      // Check direct availability data from commercetools (REST API format)
-      if (variant.availability?.availableQuantity !== undefined) {
-        return variant.availability.availableQuantity || 0;
-      }
-      
-      // Check for custom attributes that might contain stock information
-      if (variant.attributes) {
-        const stockAttr = variant.attributes.find(attr => 
-          attr.name === 'stock' || 
-          attr.name === 'quantity' || 
-          attr.name === 'availableQuantity' ||
-          attr.name === 'inventory' ||
-          attr.name === 'stockLevel' ||
-          attr.name === 'qty' ||
-          attr.name === 'qtyAvailable'
-        );
-        
-        if (stockAttr && stockAttr.value) {
-          return parseInt(stockAttr.value) || 0;
-        }
-      }
-    }
-    
-    // Default to 0 if no stock information found
-    return 0;
+  /**
+   * Builds the Vertex products for a commercetools product (see ProductMapper)
+   */
+  transformToRetailProducts(productData, locale = this.localeConfig.defaultLocale) {
+    return this.productMapper.toVertexProducts(productData, locale);
   }
 
-  generateRating() {
-    const averageRating = Math.round((Math.random() * 2 + 3) * 10) / 10;
-    const ratingCount = Math.floor(Math.random() * 495 + 5);
-    
-    return {
-      averageRating,
-      ratingCount
-    };
+  /**
+   * Builds the PRIMARY Vertex product (see ProductMapper)
+   */
+  transformToRetailProduct(productData, locale = this.localeConfig.defaultLocale) {
+    return this.productMapper.toVertexProduct(productData, locale);
   }
 
-  async importProduct(product) {
+  async importProduct(product, target = this.localeTargets[0]) {
     try {
       const accessToken = await this.getAccessToken();
-      const endpoint = `${this.branchPath}/products:import`;
+      const endpoint = `${this.getBranchPath(target)}/products:import`;
       const url = this.getApiUrl(endpoint);
 
       // Log the complete payload being sent to Vertex AI
@@ -660,10 +535,14 @@ class VertexService {
     };
   }
 
-  async importProducts(products) {
+  /**
+   * Imports Vertex products with inline imports of at most 100 products, polling each operation,
+   * so a PRIMARY product with up to 100 variants still fits
+   */
+  async importProducts(products, target = this.localeTargets[0]) {
     try {
       const accessToken = await this.getAccessToken();
-      const endpoint = `${this.branchPath}/products:import`;
+      const endpoint = `${this.getBranchPath(target)}/products:import`;
       const url = this.getApiUrl(endpoint);
 
       // Log the first product payload for debugging
@@ -680,43 +559,47 @@ class VertexService {
         console.log('--- END FIRST PRODUCT OBJECT ---');
       }
 
-      const importRequest = {
-        inputConfig: {
-          productInlineSource: {
-            products
-          }
-        },
-        reconciliationMode: 'INCREMENTAL'
-      };
+      const operations = [];
+      for (let i = 0; i < products.length; i += MAX_INLINE_IMPORT_PRODUCTS) {
+        const importRequest = {
+          inputConfig: {
+            productInlineSource: {
+              products: products.slice(i, i + MAX_INLINE_IMPORT_PRODUCTS)
+            }
+          },
+          reconciliationMode: 'INCREMENTAL'
+        };
 
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(importRequest),
-      });
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify(importRequest),
+        });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Product import failed: ${response.status} ${response.statusText} - ${errorText}`);
-      }
+        if (!response.ok) {
+          const errorText = await response.text();
+          throw new Error(`Product import failed: ${response.status} ${response.statusText} - ${errorText}`);
+        }
 
-      const operation = await response.json();
-      // Batch import operation started
-      
-      // Poll the operation to check for completion and errors
-      const operationResult = await this.pollOperation(operation.name, accessToken);
-      
-      if (!operationResult.success) {
-        throw new Error(`Batch import operation failed: ${operationResult.error}`);
+        const operation = await response.json();
+        // Batch import operation started
+
+        // Poll the operation to check for completion and errors
+        const operationResult = await this.pollOperation(operation.name, accessToken);
+
+        if (!operationResult.success) {
+          throw new Error(`Batch import operation failed: ${operationResult.error}`);
+        }
+        operations.push(operation.name);
       }
-      
+
       return {
         success: true,
         processedCount: products.length,
-        operation: operation.name,
+        operations,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -725,10 +608,10 @@ class VertexService {
     }
   }
 
-  async deleteProductFromVertex(productId) {
+  async deleteProductFromVertex(productId, target = this.localeTargets[0]) {
     try {
       const accessToken = await this.getAccessToken();
-      const endpoint = `${this.branchPath}/products/${productId}`;
+      const endpoint = `${this.getBranchPath(target)}/products/${encodeURIComponent(productId)}`;
       const url = this.getApiUrl(endpoint);
 
       const response = await fetch(url, {
@@ -739,6 +622,16 @@ class VertexService {
         },
       });
 
+      // Not in this branch, e.g. a product deleted before it was ever published
+      if (response.status === 404) {
+        return {
+          success: true,
+          productId: productId,
+          alreadyDeleted: true,
+          timestamp: new Date().toISOString()
+        };
+      }
+
       if (!response.ok) {
         const errorText = await response.text();
         throw new Error(`Product delete failed: ${response.status} ${response.statusText} - ${errorText}`);
@@ -754,6 +647,180 @@ class VertexService {
     }
   }
 
+  /**
+   * Patches the fields in updateMask of a single Vertex product
+   * allowMissing creates products Vertex AI does not know yet from the full body (the mask is then ignored)
+   */
+  async patchProductInVertex(product, updateMask, target = this.localeTargets[0]) {
+    const accessToken = await this.getAccessToken();
+    const endpoint = `${this.getBranchPath(target)}/products/${encodeURIComponent(product.id)}`;
+    const url = `${this.getApiUrl(endpoint)}?updateMask=${encodeURIComponent(updateMask.join(','))}&allowMissing=true`;
+
+    const response = await fetch(url, {
+      method: 'PATCH',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(product),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Product patch failed: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Sends the inventory fields of a single Vertex product
+   * The long-running operation is not polled; allowMissing keeps the update for products Vertex AI does not know yet
+   */
+  async setInventoryInVertex(product, setTime, target = this.localeTargets[0]) {
+    const accessToken = await this.getAccessToken();
+    const endpoint = `${this.getBranchPath(target)}/products/${encodeURIComponent(product.id)}:setInventory`;
+    const inventory = {
+      availability: product.availability,
+      availableQuantity: product.availableQuantity
+    };
+    const setMask = ['availability', 'availableQuantity'];
+
+    // With local inventory places, which places can fulfill the product changes with the stock too
+    if (this.productMapper.localInventory.places.size > 0) {
+      inventory.fulfillmentInfo = product.fulfillmentInfo || [];
+      setMask.push('fulfillmentInfo');
+    }
+
+    const response = await fetch(this.getApiUrl(endpoint), {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        inventory,
+        setMask: setMask.join(','),
+        setTime,
+        allowMissing: true
+      }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Product setInventory failed: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Sends the per-place stock of products (and their VARIANT products) as Vertex local inventories
+   * Places with stock are added, places without are removed (see ProductMapper.toLocalInventoryUpdates);
+   * calls with nothing to add or remove are skipped and the operations are not polled
+   * @returns {Promise<Array<string>>} Operation names, empty when no places are configured
+   */
+  async syncLocalInventories(productsData, target = this.localeTargets[0], { time = new Date().toISOString(), removeUnlisted = false } = {}) {
+    const calls = [];
+    productsData.forEach(productData => {
+      this.productMapper.toLocalInventoryUpdates(productData, { removeUnlisted }).forEach(update => {
+        if (update.localInventories.length > 0) {
+          calls.push([update.productId, 'addLocalInventories', {
+            localInventories: update.localInventories,
+            addTime: time,
+            allowMissing: true
+          }]);
+        }
+        if (update.removedPlaceIds.length > 0) {
+          calls.push([update.productId, 'removeLocalInventories', {
+            placeIds: update.removedPlaceIds,
+            removeTime: time,
+            allowMissing: true
+          }]);
+        }
+      });
+    });
+
+    return await mapWithConcurrency(calls, VERTEX_CONCURRENCY, async ([productId, action, body]) =>
+      (await this.postProductAction(productId, action, body, target)).name);
+  }
+
+  /**
+   * Calls a custom method like :addLocalInventories on a single Vertex product
+   */
+  async postProductAction(productId, action, body, target = this.localeTargets[0]) {
+    const accessToken = await this.getAccessToken();
+    const endpoint = `${this.getBranchPath(target)}/products/${encodeURIComponent(productId)}:${action}`;
+
+    const response = await fetch(this.getApiUrl(endpoint), {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Product ${action} failed: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Lists the ids of the VARIANT products Vertex AI holds for a primary product
+   */
+  async listVariantProductIds(primaryProductId, target = this.localeTargets[0]) {
+    const accessToken = await this.getAccessToken();
+    const ids = [];
+    let pageToken = null;
+
+    do {
+      const query = new URLSearchParams({
+        filter: `primary_product_id = "${primaryProductId}"`,
+        readMask: 'id',
+        pageSize: '1000'
+      });
+      if (pageToken) query.set('pageToken', pageToken);
+
+      const response = await fetch(`${this.getApiUrl(`${this.getBranchPath(target)}/products`)}?${query}`, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+        },
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Variant listing failed: ${response.status} ${response.statusText} - ${errorText}`);
+      }
+
+      const body = await response.json();
+      (body.products || []).forEach(product => ids.push(product.id));
+      pageToken = body.nextPageToken;
+    } while (pageToken);
+
+    return ids;
+  }
+
+  /**
+   * Deletes the VARIANT products of a primary product that are not in keepIds,
+   * e.g. variants removed in commercetools
+   * @returns {Promise<Array<string>>} Deleted variant product ids
+   */
+  async deleteStaleVariants(primaryProductId, keepIds, target = this.localeTargets[0]) {
+    const staleIds = (await this.listVariantProductIds(primaryProductId, target))
+      .filter(id => !keepIds.includes(id));
+
+    for (const id of staleIds) {
+      await this.deleteProductFromVertex(id, target);
+    }
+    return staleIds;
+  }
+
   async createCatalog() {
     try {
       const accessToken = await this.getAccessToken();
@@ -0,0 +1,129 @@
+const { CommercetoolsHttpClient, CommercetoolsApiError } = require('../src/services/commercetools-http-client');
+
+const response = (statusCode, body = {}, headers = {}) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+// Replaces the network and the backoff waits, so every path runs synchronously
+const createClient = (responses, options = {}) => {
+  const tokenManager = {
+    tokens: ['token-1', 'token-2'],
+    getAccessToken: jest.fn(function () { return Promise.resolve(this.tokens[0]); }),
+    invalidate: jest.fn(function () { this.tokens.shift(); })
+  };
+  const client = new CommercetoolsHttpClient({ apiHost: 'https://api.example.com', projectKey: 'project', tokenManager, ...options });
+  client.send = jest.fn();
+  responses.forEach(result => {
+    if (result instanceof Error) {
+      client.send.mockRejectedValueOnce(result);
+    } else {
+      client.send.mockResolvedValueOnce(result);
+    }
+  });
+  client.sleep = jest.fn().mockResolvedValue();
+  return client;
+};
+
+const networkError = code => Object.assign(new Error(`socket ${code}`), { code });
+
+describe('CommercetoolsHttpClient settings', () => {
+  const savedEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  it('should keep an explicit 0 for retries and timeouts', () => {
+    process.env.CTP_HTTP_MAX_RETRIES = '0';
+    process.env.CTP_HTTP_CONNECT_TIMEOUT_MS = '0';
+    process.env.CTP_HTTP_READ_TIMEOUT_MS = '0';
+    const client = new CommercetoolsHttpClient({ apiHost: 'https://api.example.com' });
+
+    expect(client.maxRetries).toBe(0);
+    expect(client.connectTimeoutMs).toBe(0);
+    expect(client.readTimeoutMs).toBe(0);
+  });
+
+  it('should use the defaults for missing or invalid values', () => {
+    delete process.env.CTP_HTTP_MAX_RETRIES;
+    process.env.CTP_HTTP_READ_TIMEOUT_MS = 'soon';
+    const client = new CommercetoolsHttpClient({ apiHost: 'https://api.example.com' });
+
+    expect(client.maxRetries).toBe(5);
+    expect(client.readTimeoutMs).toBe(30000);
+  });
+});
+
+describe('CommercetoolsHttpClient.request', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('should wait for Retry-After in seconds on 429', async () => {
+    const client = createClient([response(429, {}, { 'retry-after': '2' }), response(200, { id: 'p1' })]);
+
+    const result = await client.request({ path: '/products/p1' });
+
+    expect(result.body).toEqual({ id: 'p1' });
+    expect(client.sleep).toHaveBeenCalledWith(2000);
+    expect(client.send).toHaveBeenCalledTimes(2);
+  });
+
+  it('should wait until a Retry-After date on 429', async () => {
+    const now = Date.parse('2024-05-01T12:00:00.000Z');
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    const retryAt = new Date(now + 3000).toUTCString();
+    const client = createClient([response(429, {}, { 'retry-after': retryAt }), response(200, {})]);
+
+    await client.request({ path: '/products' });
+
+    expect(client.sleep).toHaveBeenCalledWith(3000);
+  });
+
+  it('should retry network errors with backoff', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    const client = createClient([networkError('ECONNRESET'), networkError('ETIMEDOUT'), response(200, { ok: true })]);
+
+    const result = await client.request({ path: '/products' });
+
+    expect(result.body).toEqual({ ok: true });
+    expect(client.sleep.mock.calls).toEqual([[250], [500]]);
+  });
+
+  it('should not retry other network errors', async () => {
+    const client = createClient([networkError('ENOTFOUND')]);
+
+    await expect(client.request({ path: '/products' })).rejects.toMatchObject({ code: 'ENOTFOUND' });
+    expect(client.send).toHaveBeenCalledTimes(1);
+  });
+
+  it('should give up after maxRetries', async () => {
+    const client = createClient([response(503), response(503), response(503), response(200)], { maxRetries: 2 });
+
+    const error = await client.request({ path: '/products' }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(CommercetoolsApiError);
+    expect(error.statusCode).toBe(503);
+    expect(client.send).toHaveBeenCalledTimes(3);
+  });
+
+  it('should refresh the token once on 401', async () => {
+    const client = createClient([response(401), response(200, { id: 'p1' })]);
+
+    const result = await client.request({ path: '/products/p1' });
+
+    expect(result.body).toEqual({ id: 'p1' });
+    expect(client.tokenManager.invalidate).toHaveBeenCalledTimes(1);
+    expect(client.tokenManager.invalidate).toHaveBeenCalledWith('token-1');
+    expect(client.send.mock.calls.map(call => call[3])).toEqual(['token-1', 'token-2']);
+  });
+
+  it('should fail when the refreshed token is rejected too', async () => {
+    const client = createClient([response(401), response(401)]);
+
+    await expect(client.request({ path: '/products' })).rejects.toMatchObject({ statusCode: 401 });
+    expect(client.tokenManager.invalidate).toHaveBeenCalledTimes(1);
+  });
+});
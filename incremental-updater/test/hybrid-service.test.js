@@ -0,0 +1,195 @@
+const { HybridService, ProductNotInStoreError } = require('../src/services/hybrid-service');
+
+const graphqlVariant = (id, sku) => ({ id, sku, prices: [], attributesRaw: [] });
+const restVariant = (id, sku, quantity) => ({ id, sku, availability: { availableQuantity: quantity } });
+
+const graphqlProduct = (masterVariant, variants) => ({
+  id: 'product-1',
+  masterData: { current: { masterVariant, variants } }
+});
+
+const restProduct = (masterVariant, variants) => ({
+  masterData: { current: { masterVariant, variants } }
+});
+
+describe('HybridService.mergeProductData', () => {
+  const hybridService = new HybridService({ httpClient: {} });
+
+  it('should merge availability by variant id when the variants are reordered', () => {
+    const merged = hybridService.mergeProductData(
+      graphqlProduct(graphqlVariant(1, 'sku-1'), [graphqlVariant(2, 'sku-2'), graphqlVariant(3, 'sku-3')]),
+      restProduct(restVariant(1, 'sku-1', 10), [restVariant(3, 'sku-3', 30), restVariant(2, 'sku-2', 20)])
+    );
+
+    const { masterVariant, variants } = merged.masterData.current;
+    expect(masterVariant.availability.availableQuantity).toBe(10);
+    expect(variants.map(variant => [variant.sku, variant.availability.availableQuantity])).toEqual([
+      ['sku-2', 20],
+      ['sku-3', 30]
+    ]);
+    expect(merged.variantMismatches).toEqual([]);
+  });
+
+  it('should report a variant added on the GraphQL side without applying availability', () => {
+    const merged = hybridService.mergeProductData(
+      graphqlProduct(graphqlVariant(1, 'sku-1'), [graphqlVariant(2, 'sku-2'), graphqlVariant(3, 'sku-3')]),
+      restProduct(restVariant(1, 'sku-1', 10), [restVariant(3, 'sku-3', 30)])
+    );
+
+    const { variants } = merged.masterData.current;
+    expect(variants[0].availability).toBeUndefined();
+    expect(variants[1].availability.availableQuantity).toBe(30);
+    expect(merged.variantMismatches).toEqual([
+      { productId: 'product-1', variantId: 2, sku: 'sku-2', reason: 'missing-in-rest' }
+    ]);
+  });
+
+  it('should report a variant removed from the GraphQL side', () => {
+    const merged = hybridService.mergeProductData(
+      graphqlProduct(graphqlVariant(1, 'sku-1'), [graphqlVariant(3, 'sku-3')]),
+      restProduct(restVariant(1, 'sku-1', 10), [restVariant(2, 'sku-2', 20), restVariant(3, 'sku-3', 30)])
+    );
+
+    const { variants } = merged.masterData.current;
+    expect(variants).toHaveLength(1);
+    expect(variants[0].availability.availableQuantity).toBe(30);
+    expect(merged.variantMismatches).toEqual([
+      { productId: 'product-1', variantId: 2, sku: 'sku-2', reason: 'missing-in-graphql' }
+    ]);
+  });
+
+  it('should not apply availability when the SKUs of a variant id differ', () => {
+    const merged = hybridService.mergeProductData(
+      graphqlProduct(graphqlVariant(1, 'sku-1'), [graphqlVariant(2, 'sku-2')]),
+      restProduct(restVariant(1, 'sku-1', 10), [restVariant(2, 'sku-other', 20)])
+    );
+
+    expect(merged.masterData.current.variants[0].availability).toBeUndefined();
+    expect(merged.variantMismatches).toEqual([
+      { productId: 'product-1', variantId: 2, sku: 'sku-2', reason: 'sku-mismatch', restSku: 'sku-other' }
+    ]);
+  });
+
+  it('should carry the mismatches into the transformed product', () => {
+    const merged = hybridService.mergeProductData(
+      graphqlProduct(graphqlVariant(1, 'sku-1'), [graphqlVariant(2, 'sku-2')]),
+      restProduct(restVariant(1, 'sku-1', 10), [])
+    );
+
+    const product = hybridService.transformProductDataWithExpansion(merged);
+    expect(product.masterData.current.masterVariant.availability.availableQuantity).toBe(10);
+    expect(product.variantMismatches).toEqual([
+      { productId: 'product-1', variantId: 2, sku: 'sku-2', reason: 'missing-in-rest' }
+    ]);
+  });
+});
+
+describe('HybridService.iterateProductPages', () => {
+  const complexityError = () => new Error('Query exceeded the complexity limit');
+
+  const collectPages = async hybridService => {
+    const pages = [];
+    for await (const page of hybridService.iterateProductPages()) {
+      pages.push(page);
+    }
+    return pages;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should halve the page size on a complexity error and grow it back after 3 clean pages', async () => {
+    const hybridService = new HybridService({ httpClient: {}, pageSize: 8 });
+    let servedPages = 0;
+    hybridService.fetchProductPage = jest.fn(async ({ limit }) => {
+      if (hybridService.fetchProductPage.mock.calls.length === 1) throw complexityError();
+      servedPages++;
+      return { products: [{ id: `product-${servedPages}` }], hasMore: servedPages < 4, lastId: `product-${servedPages}` };
+    });
+
+    const pages = await collectPages(hybridService);
+
+    expect(pages).toHaveLength(4);
+    expect(hybridService.fetchProductPage.mock.calls.map(([{ afterId, limit }]) => [afterId, limit])).toEqual([
+      [null, 8],
+      [null, 4],
+      ['product-1', 4],
+      ['product-2', 4],
+      ['product-3', 8]
+    ]);
+  });
+
+  it('should rethrow a complexity error at page size 1', async () => {
+    const hybridService = new HybridService({ httpClient: {}, pageSize: 2 });
+    hybridService.fetchProductPage = jest.fn().mockRejectedValue(complexityError());
+
+    await expect(collectPages(hybridService)).rejects.toThrow('complexity');
+    expect(hybridService.fetchProductPage.mock.calls.map(([{ limit }]) => limit)).toEqual([2, 1]);
+  });
+
+  it('should rethrow other errors without shrinking the page size', async () => {
+    const hybridService = new HybridService({ httpClient: {}, pageSize: 8 });
+    hybridService.fetchProductPage = jest.fn().mockRejectedValue(new Error('Service unavailable'));
+
+    await expect(collectPages(hybridService)).rejects.toThrow('Service unavailable');
+    expect(hybridService.fetchProductPage).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('HybridService.fetchProductById', () => {
+  it('should report products outside the store from the projection lookup alone', async () => {
+    const hybridService = new HybridService({ httpClient: {} });
+    hybridService.storeKey = 'store-1';
+    hybridService.storeChannels = { distributionChannelIds: new Set(), supplyChannelIds: new Set() };
+    hybridService.executeRestGet = jest.fn().mockRejectedValue(Object.assign(new Error('Not found'), { statusCode: 404 }));
+    hybridService.executeGraphQLQuery = jest.fn();
+
+    await expect(hybridService.fetchProductById('product-1')).rejects.toBeInstanceOf(ProductNotInStoreError);
+    expect(hybridService.executeRestGet).toHaveBeenCalledTimes(1);
+    expect(hybridService.executeGraphQLQuery).not.toHaveBeenCalled();
+  });
+
+  it('should keep scoping to the store when a concurrent fetch resets the lookup caches', async () => {
+    const hybridService = new HybridService({ httpClient: {} });
+    hybridService.storeKey = 'store-1';
+    hybridService.executeRestGet = jest.fn(async uri => {
+      if (uri.startsWith('/stores/')) return { distributionChannels: [], supplyChannels: [{ id: 'ch-store' }] };
+      if (uri.includes('/product-projections/')) {
+        const availability = { channels: { 'ch-store': { availableQuantity: 5 }, 'ch-other': { availableQuantity: 7 } } };
+        return { masterVariant: { id: 1, sku: 'sku-1', availability }, variants: [] };
+      }
+      return { results: [] };
+    });
+    hybridService.executeGraphQLQuery = jest.fn(async () => {
+      hybridService.resetLookupCaches();
+      return { product: graphqlProduct(graphqlVariant(1, 'sku-1'), []) };
+    });
+
+    const product = await hybridService.fetchProductById('product-1');
+
+    expect(product.masterData.current.masterVariant.availability.availableQuantity).toBe(5);
+  });
+
+  it('should look up store channels again once the lookup caches expire', async () => {
+    const hybridService = new HybridService({ httpClient: {} });
+    hybridService.storeKey = 'store-1';
+    hybridService.executeRestGet = jest.fn(async uri => {
+      if (uri.startsWith('/stores/')) return { distributionChannels: [], supplyChannels: [] };
+      throw Object.assign(new Error('Not found'), { statusCode: 404 });
+    });
+    const storeLookups = () => hybridService.executeRestGet.mock.calls.filter(([uri]) => uri.startsWith('/stores/')).length;
+
+    await expect(hybridService.fetchProductById('product-1')).rejects.toBeInstanceOf(ProductNotInStoreError);
+    await expect(hybridService.fetchProductById('product-1')).rejects.toBeInstanceOf(ProductNotInStoreError);
+    expect(storeLookups()).toBe(1);
+
+    hybridService.lookupCacheCreatedAt -= 11 * 60 * 1000;
+    await expect(hybridService.fetchProductById('product-1')).rejects.toBeInstanceOf(ProductNotInStoreError);
+    expect(storeLookups()).toBe(2);
+  });
+});
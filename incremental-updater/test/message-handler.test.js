@@ -0,0 +1,138 @@
+const { MessageHandler } = require('../src/handlers/message-handler');
+const { ProductSyncService } = require('../src/services/product-sync-service');
+const { VertexService } = require('../src/services/vertex-service');
+const { ProductNotInStoreError } = require('../src/services/hybrid-service');
+
+const jsonResponse = (status, body = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: String(status),
+  json: async () => body,
+  text: async () => JSON.stringify(body)
+});
+
+describe('MessageHandler product messages', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    fetchMock = jest.spyOn(global, 'fetch');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should delete a product that was created but never published from the preview branch', async () => {
+    const vertexService = new VertexService({ PROJECT_ID: 'project-1', BRANCH_ID: '0', STAGED_BRANCH_ID: '1' });
+    vertexService.auth = {};
+    vertexService.getAccessToken = jest.fn().mockResolvedValue('token');
+    // Only the preview branch has the product
+    fetchMock.mockImplementation(async url => jsonResponse(url.includes('/branches/1/') ? 200 : 404));
+    const handler = new MessageHandler(new ProductSyncService(null, vertexService), null);
+
+    const result = await handler.handleProductMessage('ProductDeleted', 'product-1');
+
+    expect(result).toMatchObject({ success: true, action: 'deleted', alreadyDeleted: true });
+    expect(fetchMock.mock.calls.map(([url, { method }]) => [method, url.replace(/^.*\/branches\//, '')])).toEqual([
+      ['DELETE', '0/products/product-1'],
+      ['DELETE', '1/products/product-1']
+    ]);
+  });
+});
+
+describe('MessageHandler partial updates', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    ['ProductAddedToCategory', 'categories'],
+    ['ProductRemovedFromCategory', 'categories'],
+    ['ProductImageAdded', 'images'],
+    ['ProductSlugChanged', 'slug']
+  ])('should patch the Vertex fields affected by %s', async (type, change) => {
+    const productSyncService = {
+      isStagedModeEnabled: jest.fn().mockReturnValue(false),
+      patchProduct: jest.fn().mockResolvedValue({ success: true, updateMask: ['categories'] })
+    };
+    const handler = new MessageHandler(productSyncService, null);
+
+    const result = await handler.handleProductMessage(type, 'product-1');
+
+    expect(result.action).toBe('patched');
+    expect(productSyncService.patchProduct).toHaveBeenCalledWith('product-1', change, { staged: false });
+  });
+});
+
+describe('MessageHandler inventory messages', () => {
+  const inventoryMessage = (type, fields = {}) => ({
+    notificationType: 'Message',
+    resource: { typeId: 'inventory-entry', id: 'entry-1' },
+    type,
+    createdAt: '2026-10-19T10:00:00.000Z',
+    ...fields
+  });
+
+  const createProductSyncService = () => ({
+    getInventoryEntrySku: jest.fn().mockResolvedValue('sku-1'),
+    findProductIdBySku: jest.fn().mockResolvedValue('product-1'),
+    syncInventory: jest.fn().mockResolvedValue({ success: true, productId: 'product-1' })
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should look up the SKU of the inventory entry and pass the message time as setTime', async () => {
+    const productSyncService = createProductSyncService();
+    const handler = new MessageHandler(productSyncService, null);
+
+    const result = await handler.handleMessage(inventoryMessage('InventoryEntryQuantitySet'));
+
+    expect(productSyncService.getInventoryEntrySku).toHaveBeenCalledWith('entry-1');
+    expect(productSyncService.findProductIdBySku).toHaveBeenCalledWith('sku-1');
+    expect(productSyncService.syncInventory).toHaveBeenCalledWith('product-1', 'sku-1', { setTime: '2026-10-19T10:00:00.000Z' });
+    expect(result).toMatchObject({ success: true, action: 'inventory-updated', sku: 'sku-1' });
+  });
+
+  it.each(['InventoryEntryCreated', 'InventoryEntryDeleted'])('should read the SKU from the %s message', async type => {
+    const productSyncService = createProductSyncService();
+    const handler = new MessageHandler(productSyncService, null);
+
+    await handler.handleMessage(inventoryMessage(type, { inventoryEntry: { sku: 'sku-2' } }));
+
+    expect(productSyncService.getInventoryEntrySku).not.toHaveBeenCalled();
+    expect(productSyncService.findProductIdBySku).toHaveBeenCalledWith('sku-2');
+    expect(productSyncService.syncInventory).toHaveBeenCalledWith('product-1', 'sku-2', { setTime: '2026-10-19T10:00:00.000Z' });
+  });
+
+  it('should ignore SKUs without product', async () => {
+    const productSyncService = createProductSyncService();
+    productSyncService.findProductIdBySku.mockResolvedValue(null);
+    const handler = new MessageHandler(productSyncService, null);
+
+    const result = await handler.handleMessage(inventoryMessage('InventoryEntryQuantitySet'));
+
+    expect(result).toMatchObject({ success: true, action: 'ignored', sku: 'sku-1' });
+    expect(productSyncService.syncInventory).not.toHaveBeenCalled();
+  });
+
+  it('should ignore products that are not in the store', async () => {
+    const productSyncService = createProductSyncService();
+    productSyncService.syncInventory.mockRejectedValue(new ProductNotInStoreError('product-1', 'store-1'));
+    const handler = new MessageHandler(productSyncService, 'store-1');
+
+    const result = await handler.handleMessage(inventoryMessage('InventoryEntryQuantitySet'));
+
+    expect(result).toMatchObject({ success: true, action: 'ignored', productId: 'product-1' });
+  });
+});
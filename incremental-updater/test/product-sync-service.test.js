@@ -0,0 +1,58 @@
+const { ProductSyncService } = require('../src/services/product-sync-service');
+const { ProductNotInStoreError } = require('../src/services/hybrid-service');
+
+describe('ProductSyncService.syncInventory', () => {
+  const setTime = '2026-10-19T10:00:00.000Z';
+
+  const createService = ({ staged = false } = {}) => {
+    const vertexService = {
+      isStagedModeEnabled: jest.fn().mockReturnValue(staged),
+      setInventory: jest.fn().mockResolvedValue({ success: true, productId: 'product-1' })
+    };
+    const service = new ProductSyncService(null, vertexService);
+    service.hybridService = {
+      fetchProductById: jest.fn(async (productId, { staged: stagedData }) => ({ id: productId, stagedData }))
+    };
+    return service;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should set the inventory of the live product with the SKU and setTime', async () => {
+    const service = createService();
+
+    const result = await service.syncInventory('product-1', 'sku-1', { setTime });
+
+    expect(result).toEqual({ success: true, productId: 'product-1' });
+    expect(service.hybridService.fetchProductById).toHaveBeenCalledTimes(1);
+    expect(service.vertexService.setInventory).toHaveBeenCalledWith({ id: 'product-1', stagedData: false }, { sku: 'sku-1', setTime });
+  });
+
+  it('should also set the inventory of the staged product in staged mode', async () => {
+    const service = createService({ staged: true });
+
+    await service.syncInventory('product-1', 'sku-1', { setTime });
+
+    expect(service.hybridService.fetchProductById).toHaveBeenLastCalledWith('product-1', { staged: true });
+    expect(service.vertexService.setInventory.mock.calls).toEqual([
+      [{ id: 'product-1', stagedData: false }, { sku: 'sku-1', setTime }],
+      [{ id: 'product-1', stagedData: true }, { sku: 'sku-1', setTime, staged: true }]
+    ]);
+  });
+
+  it('should pass on products outside the store without logging an error', async () => {
+    const service = createService({ staged: true });
+    service.hybridService.fetchProductById.mockRejectedValue(new ProductNotInStoreError('product-1', 'store-1'));
+
+    await expect(service.syncInventory('product-1', 'sku-1', { setTime })).rejects.toBeInstanceOf(ProductNotInStoreError);
+    expect(service.vertexService.setInventory).not.toHaveBeenCalled();
+    expect(console.error).not.toHaveBeenCalled();
+  });
+});
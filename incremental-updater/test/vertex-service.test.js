@@ -0,0 +1,28 @@
+const { VertexService } = require('../src/services/vertex-service');
+
+describe('VertexService.importProducts', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should split a PRIMARY product with 100 variants into inline imports of at most 100 products', async () => {
+    const vertexService = new VertexService({ PROJECT_ID: 'project-1', VARIANT_MODE: 'variants' });
+    vertexService.getAccessToken = jest.fn().mockResolvedValue('token');
+    vertexService.pollOperation = jest.fn().mockResolvedValue({ success: true });
+    const fetchMock = jest.spyOn(global, 'fetch').mockImplementation(async () => ({
+      ok: true,
+      json: async () => ({ name: `operations/import-${fetchMock.mock.calls.length}` })
+    }));
+    const products = Array.from({ length: 101 }, (_, index) => ({ id: `product-${index}` }));
+
+    const result = await vertexService.importProducts(products);
+
+    const importedCounts = fetchMock.mock.calls.map(([, { body }]) => JSON.parse(body).inputConfig.productInlineSource.products.length);
+    expect(importedCounts).toEqual([100, 1]);
+    expect(result).toMatchObject({ success: true, processedCount: 101, operations: ['operations/import-1', 'operations/import-2'] });
+  });
+});